@@ -0,0 +1,90 @@
+// Helpers for supporting cancellation with an AbortSignal.  Only the signal's
+// interface (aborted, addEventListener, removeEventListener) is used, so any
+// conforming implementation will work.  All helpers accept an undefined
+// signal, which never aborts.
+
+const Joi = require('@hapi/joi');
+
+const ABORT_CODE = 'ABORT_ERR';
+
+// Schema for options accepting an AbortSignal.
+const signalSchema = Joi.object().unknown(true).custom(
+    (v, helpers) =>
+        typeof v.addEventListener === 'function' && 'aborted' in v ? v :
+        helpers.error('any.invalid'),
+    'AbortSignal'
+);
+
+// Constructs the error that upload functions reject with when aborted.
+function abortError() {
+    return Object.assign(
+        new Error('The operation was aborted'),
+        { name: 'AbortError', code: ABORT_CODE }
+    );
+}
+
+function isAbortError(err) {
+    return !!err && err.code === ABORT_CODE;
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw abortError();
+    }
+}
+
+// Invokes fn once when the signal is aborted, or immediately if it already
+// was.  Returns a function that removes the listener; it must be called once
+// the listener is no longer needed, as signals may be long-lived.
+function onAbort(signal, fn) {
+    if (!signal) {
+        return () => {};
+    }
+
+    if (signal.aborted) {
+        fn();
+        return () => {};
+    }
+
+    signal.addEventListener('abort', fn, { once: true });
+
+    return () => { signal.removeEventListener('abort', fn); };
+}
+
+// Returns a promise that settles like the argument, except that it rejects
+// with an abort error as soon as the signal is aborted.
+function raceAbort(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const removeListener = onAbort(signal, () => { reject(abortError()); });
+
+        promise.then(resolve, reject).then(removeListener);
+    });
+}
+
+// Returns an AbortController that is also aborted when any of the signals is
+// (undefined signals are skipped).  Its dispose() function removes the
+// listeners from the signals; it must be called once the controller is no
+// longer needed.
+function linkedController(...signals) {
+    const controller = new AbortController();
+
+    const removers = signals.map(signal => onAbort(signal, () => { controller.abort(); }));
+
+    controller.dispose = () => { removers.forEach(remove => { remove(); }); };
+
+    return controller;
+}
+
+module.exports = {
+    signalSchema,
+    abortError,
+    isAbortError,
+    throwIfAborted,
+    onAbort,
+    raceAbort,
+    linkedController,
+};
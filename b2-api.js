@@ -0,0 +1,25 @@
+const httpsRequest = require('./https-client');
+
+// Calls a function of the B2 API directly, for the calls that the B2 client
+// doesn't implement (or doesn't pass every parameter to).  token is an account
+// token, as handed out by borrowAccountToken.  options may hold the signal and
+// timeouts of the request; see https-client.js.  Returns a promise for the
+// JSON-decoded response.
+module.exports = (token, name, params, { signal, timeouts } = {}) => {
+    const body = JSON.stringify(params);
+
+    return httpsRequest(
+        `${token.apiUrl}/b2api/v2/${name}`,
+        {
+            method: 'POST',
+            headers: {
+                authorization: token.authorizationToken,
+                'content-type': 'application/json',
+                'content-length': Buffer.byteLength(body),
+            },
+            signal,
+            timeouts,
+        },
+        body
+    );
+};
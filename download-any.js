@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Joi = require('@hapi/joi');
+const { v4: uuidv4 } = require('uuid');
+
+const abort = require('./abort');
+const createEmit = require('./events');
+const hashBuffer = require('./hash-buffer');
+const hashFile = require('./hash-file');
+const httpsRequest = require('./https-client');
+const pUtils = require('./promise-utils');
+const retryPolicy = require('./retry-policy');
+const sse = require('./server-side-encryption');
+const syncPromise = require('./sync-promise');
+const requestTimeouts = require('./timeouts');
+const { trace } = require('./log');
+
+const open = pUtils.promisify(fs.open);
+const write = pUtils.promisify(fs.write);
+const close = pUtils.promisify(fs.close);
+const readFile = pUtils.promisify(fs.readFile);
+const writeFile = pUtils.promisify(fs.writeFile);
+const unlink = pUtils.promisify(fs.unlink);
+
+const optionsSchema = Joi.object().required().keys({
+    bucketName: Joi.string(),
+    concurrency: Joi.number().integer().min(1).default(1),
+    destination: Joi.alternatives().try(
+        Joi.string(),
+        Joi.object().unknown(true).raw().keys({
+            write: Joi.function().required(),
+        }),
+    ),
+    fileId: Joi.string(),
+    fileName: Joi.string(),
+    largeFileThreshold: Joi.number().integer()
+        .min(    Joi.ref('partSize', { adjust: v => v + 1 }))
+        .default(Joi.ref('partSize', { adjust: v => v * 2 })),
+    partSize: Joi.number().integer().min(1).required(),
+    resume: Joi.boolean().default(false),
+    retry: retryPolicy.schema,
+    serverSideEncryption: sse.schema,
+    signal: abort.signalSchema,
+    timeouts: requestTimeouts.schema,
+})
+.xor('fileId', 'fileName')
+.with('fileName', 'bucketName')
+.without('fileId', 'bucketName');
+
+// B2 percent-encodes file names and file info values in headers.
+function decodeHeader(v) {
+    return decodeURIComponent(v.replace(/\+/g, ' '));
+}
+
+function fileUrl(token, o) {
+    return o.fileId ?
+        `${token.downloadUrl}/b2api/v2/b2_download_file_by_id?fileId=${encodeURIComponent(o.fileId)}` :
+        `${token.downloadUrl}/file/${encodeURIComponent(o.bucketName)}/${o.fileName.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+function requestHeaders(token, o) {
+    return {
+        authorization: token.authorizationToken,
+        ...sse.partHeaders(o.serverSideEncryption),
+    };
+}
+
+// Fetches the file's metadata with a HEAD request.
+async function headFile(o) {
+    const { headers } = await o.borrow(token =>
+        httpsRequest(fileUrl(token, o), {
+            method: 'HEAD',
+            headers: requestHeaders(token, o),
+            timeouts: o.timeouts,
+            signal: o.signal,
+            onResponseData: () => {},
+        })
+    );
+
+    const info = {};
+
+    for (const [ k, v ] of Object.entries(headers)) {
+        if (k.startsWith('x-bz-info-')) {
+            info[k.slice('x-bz-info-'.length)] = decodeHeader(v);
+        }
+    }
+
+    // Large files don't have a content SHA-1, but may record the hash of the
+    // whole file in their file info.
+    const sha1 =
+        headers['x-bz-content-sha1'] && headers['x-bz-content-sha1'] !== 'none' ?
+            headers['x-bz-content-sha1'] :
+            info.large_file_sha1;
+
+    return {
+        fileId: headers['x-bz-file-id'],
+        fileName: decodeHeader(headers['x-bz-file-name']),
+        contentLength: parseInt(headers['content-length']),
+        contentType: headers['content-type'],
+        contentSha1: sha1 ? sha1.replace(/^unverified:/, '').toLowerCase() : undefined,
+        fileInfo: info,
+    };
+}
+
+// Fetches one range of the file, handing its contents to the writer as they
+// arrive.
+async function fetchRange(o, writer, range) {
+    const length = range.end - range.start;
+
+    await o.borrow(async token => {
+        let received = 0;
+
+        await httpsRequest(fileUrl(token, o), {
+            method: 'GET',
+            headers: {
+                ...requestHeaders(token, o),
+                range: `bytes=${range.start}-${range.end - 1}`,
+            },
+            timeouts: o.timeouts,
+            signal: o.signal,
+            onResponseData: chunk => {
+                const offset = received;
+
+                received += chunk.length;
+
+                // Anything past the end of the range would overwrite the
+                // next one; the length check below fails the request.
+                if (offset < length) {
+                    return writer.write(range, offset, chunk.subarray(0, length - offset));
+                }
+
+                return undefined;
+            },
+        });
+
+        if (received !== length) {
+            // This isn't a failed request as far as the borrow function is
+            // concerned, so it's retried without discarding the token.
+            throw Object.assign(
+                new Error(`Expected ${length} bytes of range ${range.index} but received ${received}`),
+                { code: 'ERR_INCOMPLETE_RESPONSE', logDetail: o.logDetail }
+            );
+        }
+    });
+
+    await writer.complete(range);
+}
+
+// Writers store the ranges of a download.  They have the following
+// attributes:
+//
+// * done: Function accepting a range, returning true if it was already
+//   written by an earlier download that is being resumed.
+//
+// * write: Function accepting a range, an offset within it and a buffer with
+//   the contents of the range at that offset.  Returns a promise that resolves
+//   once the contents are stored, or undefined if they already are.  The
+//   contents of a range are written in order, but are written again from the
+//   start if fetching the range fails partway.
+//
+// * complete: Function accepting a range once all of its contents are written.
+//   Returns a promise.
+//
+// * finish: Function invoked once every range is written.  Returns a promise
+//   for the hex-encoded SHA-1 hash of the contents if the argument is true.
+//
+// * close: Function invoked if the download fails.  Ranges written after this
+//   are ignored.
+//
+// * result: Attributes to add to the result of the download.
+
+// Collects the file into a buffer.
+function bufferWriter(size) {
+    const buf = Buffer.allocUnsafe(size);
+
+    return {
+        done: () => false,
+
+        write(range, offset, data) {
+            data.copy(buf, range.start + offset);
+        },
+
+        complete: () => Promise.resolve(),
+
+        finish: hash => hash ? hashBuffer(buf) : Promise.resolve(undefined),
+
+        close() { },
+
+        result: { data: buf },
+    };
+}
+
+// Writes the file to a writable stream.  Ranges can be fetched out of order,
+// so each is collected in memory and waits until the ones before it are
+// written.  The stream is ended once the download succeeds.
+function streamWriter(s) {
+    const hash = crypto.createHash('sha1');
+
+    // Map of range index to the chunks of that range received so far.
+    const received = new Map();
+
+    // Map of range index to a function that wakes up the write of that range.
+    const waiting = new Map();
+    let next = 0;
+    let closed = false;
+
+    return {
+        done: () => false,
+
+        write(range, offset, data) {
+            if (closed) {
+                return;
+            }
+
+            if (offset === 0) {
+                received.set(range.index, []);
+            }
+
+            received.get(range.index).push(data);
+        },
+
+        async complete(range) {
+            if (closed) {
+                return;
+            }
+
+            const data = Buffer.concat(received.get(range.index));
+
+            received.delete(range.index);
+
+            if (range.index !== next) {
+                await new Promise(resolve => { waiting.set(range.index, resolve); });
+            }
+
+            if (closed) {
+                return;
+            }
+
+            await new Promise((resolve, reject) => {
+                s.write(data, err => { err ? reject(err) : resolve(); });
+            });
+
+            hash.update(data);
+            next += 1;
+
+            const wake = waiting.get(next);
+
+            if (wake) {
+                waiting.delete(next);
+                wake();
+            }
+        },
+
+        async finish() {
+            await new Promise(resolve => { s.end(resolve); });
+
+            return hash.digest('hex');
+        },
+
+        close() {
+            closed = true;
+            received.clear();
+            waiting.forEach(wake => { wake(); });
+            waiting.clear();
+        },
+
+        result: {},
+    };
+}
+
+// Writes the file to a path, writing the contents of each range at their
+// offset as they arrive, so ranges aren't held in memory.  The ranges
+// that have been written are recorded in a state file next to the destination,
+// so that a failed download can be resumed.  The state file is removed once
+// every range is written.
+async function fileWriter(o, file, rangeSize) {
+    const statePath = `${o.destination}.b2download`;
+    let completed = new Set();
+
+    if (o.resume) {
+        const saved = await readFile(statePath, 'utf8').then(JSON.parse, () => undefined);
+
+        // Only ranges of the very same file version can be reused.
+        if (saved && saved.fileId === file.fileId && saved.rangeSize === rangeSize) {
+            completed = new Set(saved.completed);
+        }
+    }
+
+    let fd;
+
+    if (completed.size) {
+        fd = await open(o.destination, 'r+').catch(() => undefined);
+    }
+
+    if (fd === undefined) {
+        completed.clear();
+        fd = await open(o.destination, 'w');
+    }
+
+    trace({ ...o.logDetail, completed: completed.size }, 'Writing download to file');
+
+    const saveState = syncPromise(() =>
+        writeFile(statePath, JSON.stringify({
+            fileId: file.fileId,
+            rangeSize,
+            completed: [ ...completed ],
+        }))
+    );
+
+    // Replace any state left by an earlier download that isn't being resumed.
+    await saveState();
+
+    // Writes in progress, which must finish before the file is closed.
+    const writes = new Set();
+    let closed;
+
+    function closeFile() {
+        closed = closed || Promise.all([ ...writes ].map(p => p.catch(() => {})))
+            .then(() => close(fd));
+
+        return closed;
+    }
+
+    async function track(p) {
+        writes.add(p);
+
+        try {
+            await p;
+        } finally {
+            writes.delete(p);
+        }
+    }
+
+    return {
+        done: range => completed.has(range.index),
+
+        async write(range, offset, data) {
+            if (closed) {
+                return;
+            }
+
+            await track((async () => {
+                for (let written = 0; written < data.length; ) {
+                    written += await write(fd, data, written, data.length - written, range.start + offset + written);
+                }
+            })());
+        },
+
+        async complete(range) {
+            if (closed) {
+                return;
+            }
+
+            completed.add(range.index);
+            await track(saveState());
+        },
+
+        async finish(hash) {
+            await closeFile();
+            await unlink(statePath).catch(() => {});
+
+            return hash ? hashFile(o.destination) : undefined;
+        },
+
+        close: closeFile,
+
+        result: {},
+    };
+}
+
+// Downloads the file described by the validated options object.
+async function download(o) {
+    const file = await headFile(o);
+
+    // Fetch the ranges by ID, so they all come from the version we just
+    // looked at even if a new one is uploaded meanwhile.
+    o.fileId = file.fileId;
+
+    const rangeSize = file.contentLength >= o.largeFileThreshold ? o.partSize : file.contentLength;
+    const ranges = [];
+
+    for (let start = 0; start < file.contentLength; start += rangeSize) {
+        ranges.push({
+            index: ranges.length,
+            start,
+            end: Math.min(start + rangeSize, file.contentLength),
+        });
+    }
+
+    trace({ ...o.logDetail, size: file.contentLength, ranges: ranges.length }, 'Downloading file');
+
+    const writer =
+        typeof o.destination === 'string' ? await fileWriter(o, file, rangeSize) :
+        o.destination ? streamWriter(o.destination) :
+        bufferWriter(file.contentLength);
+
+    try {
+        await pUtils.mapConcurrent(
+            ranges.filter(range => !writer.done(range)),
+            o.concurrency,
+            range => fetchRange(o, writer, range)
+        );
+
+        const sha1 = await writer.finish(file.contentSha1 !== undefined);
+
+        if (file.contentSha1 !== undefined && sha1 !== file.contentSha1) {
+            throw Object.assign(
+                new Error(`SHA-1 mismatch: expected ${file.contentSha1}, downloaded ${sha1}`),
+                { code: 'ERR_SHA1_MISMATCH' }
+            );
+        }
+    } catch (err) {
+        trace({ ...o.logDetail, err }, 'Download failed');
+
+        await writer.close();
+        throw err;
+    }
+
+    trace(o.logDetail, 'Download complete');
+
+    return {
+        fileId: file.fileId,
+        fileName: file.fileName,
+        contentLength: file.contentLength,
+        contentType: file.contentType,
+        contentSha1: file.contentSha1,
+        fileInfo: file.fileInfo,
+        ...writer.result,
+    };
+}
+
+// Returns the downloadAny function.  getPriv returns the private data of a B2
+// client.
+module.exports = getPriv => async function downloadAny(options) {
+    const priv = getPriv(this);
+
+    const o = Joi.attempt({ partSize: priv.partSize, ...options }, optionsSchema);
+
+    o.timeouts = requestTimeouts.resolve(priv.timeouts, o.timeouts);
+    o.logDetail = {
+        correlationId: uuidv4(),
+        bucketName: o.bucketName,
+        fileName: o.fileName,
+        fileId: o.fileId,
+    };
+    o.emit = createEmit(priv.events, o.logDetail);
+    o.borrow = workerFn => priv.borrowAccountToken(workerFn, { signal: o.signal, retry: o.retry, emit: o.emit });
+
+    trace(o.logDetail, 'Beginning download');
+
+    abort.throwIfAborted(o.signal);
+
+    const endOperation = priv.beginOperation();
+
+    try {
+        return await download(o);
+    } finally {
+        endOperation();
+    }
+};
@@ -0,0 +1,69 @@
+const { trace } = require('./log');
+
+// Lifecycle events.  Each B2 client has an EventEmitter (see
+// uploadAny.events()) on which every event is emitted twice: under its type,
+// and under 'event'.  Uploads additionally pass their own events to the
+// onEvent option.
+//
+// An event is an object with these attributes, plus those of its type:
+//
+// * type: String; one of the types below.
+//
+// * time: Number; when the event happened, in milliseconds since the epoch.
+//
+// * correlationId, fileName, bucketId, fileId: Identify the operation, where
+//   known.  (Events of the client itself, such as those of API calls made
+//   outside of an upload, have none of them.)
+//
+// Types:
+//
+// * upload.started
+//
+// * upload.finished: size (bytes), duration (milliseconds) and large (true
+//   for large-file uploads).
+//
+// * upload.canceled, upload.failed: duration, err.
+//
+// * upload.skipped: duration, fileId (of the identical file that exists; see
+//   the skipIfIdentical option).
+//
+// * part.started: partNumber, size.
+//
+// * part.finished: partNumber, size, duration (of the successful attempt),
+//   attempts.
+//
+// * token.acquired, token.reused: poolSize, the number of idle tokens left
+//   in the pool the token came from.
+//
+// * token.discarded: reason (see retry-policy.js, or token-pool.js for tokens
+//   discarded by a pool), poolSize.
+//
+// * reauthorize: reason.  Concurrent requests share one reauthorization.
+//
+// * retry: reason, delay (milliseconds), err, and either attempt (the number
+//   of the failed attempt) or retryAfter (true when the server asked for the
+//   delay; such retries don't count as attempts).
+
+// Returns a function accepting a type and attributes, which emits an event on
+// the emitter and passes it to the optional callback.  detail holds the
+// attributes identifying the operation; it's read when each event is emitted,
+// so it may be updated.
+module.exports = (emitter, detail, callback) => (type, attributes) => {
+    const event = { type, time: Date.now(), ...detail, ...attributes };
+
+    // A broken listener shouldn't break the upload.
+    try {
+        emitter.emit(type, event);
+        emitter.emit('event', event);
+    } catch (err) {
+        trace({ ...detail, err }, 'Event listener threw');
+    }
+
+    if (callback) {
+        try {
+            callback(event);
+        } catch (err) {
+            trace({ ...detail, err }, 'Event callback threw');
+        }
+    }
+};
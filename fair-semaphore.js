@@ -0,0 +1,146 @@
+const abort = require('./abort');
+
+// A counting semaphore shared by multiple owners (for example, uploads).  Each
+// acquisition takes an amount of the capacity, which is returned by calling
+// the release function the acquisition resolves to.
+//
+// Waiting acquisitions are granted round-robin between owners, so an owner
+// with many waiting acquisitions can't starve the others.  An owner's own
+// acquisitions are granted in order.  The waiter at the head of the rotation
+// blocks the others until it fits, so large acquisitions aren't starved by
+// small ones either.  An acquisition larger than the whole capacity is granted
+// once nothing else is held.
+module.exports = (capacity = Infinity) => {
+    let held = 0;
+
+    // Map of owner to array of waiters.  Map iteration order is insertion
+    // order, which we use as the rotation: an owner is moved to the end when
+    // one of its waiters is granted.
+    const waiting = new Map();
+
+    function fits(amount) {
+        return held === 0 || held + amount <= capacity;
+    }
+
+    function grant(amount) {
+        held += amount;
+
+        let released = false;
+
+        return () => {
+            if (!released) {
+                released = true;
+                held -= amount;
+                pump();
+            }
+        };
+    }
+
+    function pump() {
+        while (waiting.size) {
+            const [ owner, waiters ] = waiting.entries().next().value;
+            const w = waiters[0];
+
+            if (!fits(w.amount)) {
+                return;
+            }
+
+            waiters.shift();
+            waiting.delete(owner);
+
+            if (waiters.length) {
+                waiting.set(owner, waiters);
+            }
+
+            w.resolve(grant(w.amount));
+        }
+    }
+
+    function remove(owner, w) {
+        const waiters = waiting.get(owner);
+        const i = waiters ? waiters.indexOf(w) : -1;
+
+        if (i !== -1) {
+            waiters.splice(i, 1);
+
+            if (!waiters.length) {
+                waiting.delete(owner);
+            }
+
+            // Something else may fit now.
+            pump();
+        }
+    }
+
+    return {
+        // Returns a promise for a release function.  Rejects with an abort
+        // error if the signal is aborted while waiting.
+        acquire(owner, amount = 1, signal) {
+            return new Promise((resolve, reject) => {
+                abort.throwIfAborted(signal);
+
+                if (!waiting.size && fits(amount)) {
+                    resolve(grant(amount));
+                    return;
+                }
+
+                const w = { amount };
+
+                const removeAbortListener = abort.onAbort(signal, () => {
+                    remove(owner, w);
+                    reject(abort.abortError());
+                });
+
+                w.resolve = release => {
+                    removeAbortListener();
+                    resolve(release);
+                };
+
+                w.reject = err => {
+                    removeAbortListener();
+                    reject(err);
+                };
+
+                if (!waiting.has(owner)) {
+                    waiting.set(owner, []);
+                }
+
+                waiting.get(owner).push(w);
+            });
+        },
+
+        // Returns a release function if the amount can be acquired without
+        // waiting, otherwise undefined.  Unlike acquire(), this never exceeds
+        // the capacity.
+        tryAcquire(amount = 1) {
+            return !waiting.size && held + amount <= capacity ? grant(amount) : undefined;
+        },
+
+        // Rejects all of an owner's waiting acquisitions with the error.  Used
+        // when the owner fails, so its waiters don't hold up other owners.
+        cancel(owner, err) {
+            const waiters = waiting.get(owner);
+
+            if (waiters) {
+                waiting.delete(owner);
+                waiters.forEach(w => { w.reject(err); });
+                pump();
+            }
+        },
+
+        setCapacity(c) {
+            capacity = c;
+            pump();
+        },
+
+        stats() {
+            let waiters = 0;
+
+            for (const w of waiting.values()) {
+                waiters += w.length;
+            }
+
+            return { capacity, held, waiters };
+        },
+    };
+};
@@ -0,0 +1,933 @@
+// An in-process imitation of the parts of the B2 API that uploads use, for
+// testing code built on this module (including its retry handling) without
+// reaching the real service.  It listens on a local port over plain HTTP.
+//
+// Implemented calls: b2_authorize_account, b2_get_upload_url, b2_upload_file,
+// b2_start_large_file, b2_get_upload_part_url, b2_upload_part,
+// b2_finish_large_file, b2_cancel_large_file, b2_list_unfinished_large_files,
+// b2_list_parts, b2_list_file_names (without delimiter support),
+// b2_get_file_info, b2_copy_file, b2_copy_part, b2_hide_file and
+// b2_download_file_by_id (with HEAD and single ranges).  SHA-1 hashes and
+// lengths of uploaded data are verified like B2 does, an upload token can only
+// be used by one request at a time, and faults can be scripted with fault().
+//
+// To point a B2 client at the server, pass its authorizeUrl to configure()
+// before authorizing; the client then uses the API and upload URLs the server
+// hands out.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Joi = require('@hapi/joi');
+const { v4: uuidv4 } = require('uuid');
+
+const pUtils = require('./promise-utils');
+
+const writeFile = pUtils.promisify(fs.writeFile);
+const readFile = pUtils.promisify(fs.readFile);
+const unlink = pUtils.promisify(fs.unlink);
+
+// The object's default() fills in the defaults of its keys when no options
+// are given at all.
+const optionsSchema = Joi.object().keys({
+    absoluteMinimumPartSize: Joi.number().integer().min(1).default(5000000),
+    accountId: Joi.string().default('fake-account'),
+    applicationKey: Joi.string().default('fake-key'),
+    applicationKeyId: Joi.string(),
+    directory: Joi.string(),
+    host: Joi.string().default('127.0.0.1'),
+    port: Joi.number().integer().min(0).default(0),
+    recommendedPartSize: Joi.number().integer().min(1).default(100000000),
+}).default();
+
+const FAULT_TYPES = [
+    'service-unavailable',
+    'too-many-requests',
+    'expired-auth-token',
+    'token-in-use',
+    'connection-reset',
+    'cut-off',
+    'hang',
+];
+
+const faultSchema = Joi.object().required().keys({
+    api: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())),
+    retryAfter: Joi.number().integer().min(0).default(1),
+    skip: Joi.number().integer().min(0).default(0),
+    times: Joi.number().integer().min(1).allow(Infinity).default(1),
+    type: Joi.string().required().valid(...FAULT_TYPES),
+    when: Joi.function(),
+});
+
+// API functions return this attribute, rather than a JSON response, to send
+// a response with the given status, headers and body.
+const RAW = Symbol('raw');
+
+// Errors are answered with a JSON body like B2's.
+function b2Error(status, code, message) {
+    return Object.assign(new Error(message), { status, b2Code: code });
+}
+
+function sha1(buf) {
+    return crypto.createHash('sha1').update(buf).digest('hex');
+}
+
+function decodeHeader(v) {
+    return decodeURIComponent(String(v).replace(/\+/g, ' '));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+
+        req.on('data', chunk => { chunks.push(chunk); });
+        req.on('end', () => { resolve(Buffer.concat(chunks)); });
+        req.on('error', reject);
+    });
+}
+
+// Checks uploaded data against the length and X-Bz-Content-Sha1 headers.
+// Returns the data (without an appended hash) and its hash.
+function verifyData(req, body) {
+    const length = parseInt(req.headers['content-length']);
+
+    if (!Number.isFinite(length) || length !== body.length) {
+        throw b2Error(400, 'bad_request', 'Content-Length did not match the data received');
+    }
+
+    const header = String(req.headers['x-bz-content-sha1'] || '').toLowerCase();
+
+    if (header === 'hex_digits_at_end') {
+        if (body.length < 40) {
+            throw b2Error(400, 'bad_request', 'Missing SHA-1 at the end of the data');
+        }
+
+        const data = body.subarray(0, body.length - 40);
+        const hash = sha1(data);
+
+        if (body.subarray(body.length - 40).toString('latin1').toLowerCase() !== hash) {
+            throw b2Error(400, 'bad_request', 'Checksum did not match data received');
+        }
+
+        return { data, hash };
+    }
+
+    const hash = sha1(body);
+
+    if (header !== 'do_not_verify' && header.replace(/^unverified:/, '') !== hash) {
+        throw b2Error(400, 'bad_request', 'Checksum did not match data received');
+    }
+
+    return { data: body, hash };
+}
+
+// Creates and starts a fake server.  Resolves to an object with these
+// attributes:
+//
+// * url: The base URL of the server.
+//
+// * authorizeUrl: The URL of b2_authorize_account; see configure().
+//
+// * fault(rule): Scripts a fault.  See below.
+//
+// * clearFaults(): Removes every fault.
+//
+// * expireAuthorizations(): Expires every account authorization token, so
+//   that API calls fail with 401 until the client authorizes again.
+//
+// * files(): Returns an array of the stored files, without their data.
+//
+// * unfinishedLargeFiles(): Returns an array of the unfinished large files.
+//
+// * getFileData(fileId): Returns a promise for the data of a stored file.
+//
+// * requests: Array of objects describing each request received, with the
+//   api name, the status of the response (undefined if there was none) and
+//   the type of the fault injected, if any.
+//
+// * close(): Stops the server, destroying hung connections.  Returns a
+//   promise.
+//
+// A fault rule is an object with these attributes:
+//
+// * type: String, required.  One of:
+//   - service-unavailable: 503, which makes uploaders get a new upload URL.
+//   - too-many-requests: 429 with a Retry-After header.
+//   - expired-auth-token: 401, which makes clients authorize again.
+//   - token-in-use: B2's 400 complaining about concurrent use of an upload
+//     token.
+//   - connection-reset: The connection is destroyed without a response.
+//   - cut-off: The call is made, but the connection is destroyed after half
+//     of the response body is sent.
+//   - hang: The request body is read, but no response is ever sent.
+//
+// * api: String or array of strings.  The calls the fault applies to, such
+//   as 'b2_upload_part'.  Defaults to all calls.
+//
+// * skip: Number.  How many matching requests to let through first.
+//   Defaults to 0.
+//
+// * times: Number.  How many requests to fail.  Defaults to 1.
+//
+// * retryAfter: Number.  The Retry-After of too-many-requests, in seconds.
+//   Defaults to 1.
+//
+// * when: Function.  Called with the api name and the request; the fault
+//   only applies if it returns true.
+//
+// fault() returns an object whose remove() function removes the rule, and
+// whose hits attribute counts the requests it failed.
+module.exports = async function createFakeB2(options) {
+    const o = Joi.attempt(options, optionsSchema);
+
+    const keyId = o.applicationKeyId || o.accountId;
+
+    let url;
+
+    const accountTokens = new Set();
+
+    // Map of upload token to what it may upload (a bucketId or a fileId).
+    const uploadTokens = new Map();
+
+    // Upload tokens in use by a request.
+    const busy = new Set();
+
+    const files = new Map();
+    const largeFiles = new Map();
+
+    const faults = [];
+    const requests = [];
+
+    // Hung requests, which are destroyed on close().
+    const hung = new Set();
+
+    let counter = 0;
+
+    const newId = prefix => `${prefix}_${uuidv4().replace(/-/g, '')}`;
+
+    // Stores data, in memory or in the directory.  Returns where it is.
+    async function store(name, data) {
+        if (!o.directory) {
+            return { data };
+        }
+
+        const p = path.join(o.directory, name);
+
+        await writeFile(p, data);
+
+        return { path: p };
+    }
+
+    function load(stored) {
+        return stored.path ? readFile(stored.path) : Promise.resolve(stored.data);
+    }
+
+    function discard(stored) {
+        return stored.path ? unlink(stored.path).catch(() => {}) : Promise.resolve();
+    }
+
+    function fileResponse(f) {
+        return {
+            accountId: o.accountId,
+            action: f.action,
+            bucketId: f.bucketId,
+            contentLength: f.contentLength,
+            contentSha1: f.contentSha1,
+            contentType: f.contentType,
+            fileId: f.fileId,
+            fileInfo: f.fileInfo,
+            fileName: f.fileName,
+            serverSideEncryption: f.serverSideEncryption || { mode: null },
+            uploadTimestamp: f.uploadTimestamp,
+        };
+    }
+
+    function requireAccountToken(req) {
+        if (!accountTokens.has(req.headers.authorization)) {
+            throw b2Error(401, 'expired_auth_token', 'Authorization token has expired');
+        }
+    }
+
+    function requireUploadToken(req, target) {
+        const token = req.headers.authorization;
+
+        if (uploadTokens.get(token) !== target) {
+            throw b2Error(401, 'expired_auth_token', 'Authorization token has expired');
+        }
+
+        if (busy.has(token)) {
+            throw b2Error(400, 'bad_request', 'more than one upload using auth token ' + token);
+        }
+
+        return token;
+    }
+
+    function getFile(fileId) {
+        const f = files.get(fileId);
+
+        if (!f) {
+            throw b2Error(404, 'not_found', `File not present: ${fileId}`);
+        }
+
+        return f;
+    }
+
+    // Loads the data of a file, or the part of it in the range of a copy
+    // ("bytes=start-end", inclusive).
+    async function loadRange(f, range) {
+        const data = await load(f.stored);
+
+        if (!range) {
+            return data;
+        }
+
+        const m = /^bytes=(\d+)-(\d+)$/.exec(range);
+
+        if (!m || +m[1] > +m[2] || +m[2] >= data.length) {
+            throw b2Error(400, 'bad_request', `Invalid range: ${range}`);
+        }
+
+        return data.subarray(+m[1], +m[2] + 1);
+    }
+
+    // Stores a part of a large file, replacing any with the same number.
+    // Returns the part's response.
+    async function storePart(f, partNumber, data) {
+        if (!(partNumber >= 1 && partNumber <= 10000)) {
+            throw b2Error(400, 'bad_request', 'Part number must be between 1 and 10000');
+        }
+
+        const old = f.parts.get(partNumber);
+
+        if (old) {
+            await discard(old.stored);
+        }
+
+        const part = {
+            partNumber,
+            contentLength: data.length,
+            contentSha1: sha1(data),
+            uploadTimestamp: Date.now(),
+            stored: await store(`${f.fileId}.part${partNumber}`, data),
+        };
+
+        f.parts.set(partNumber, part);
+
+        return {
+            fileId: f.fileId,
+            partNumber,
+            contentLength: part.contentLength,
+            contentSha1: part.contentSha1,
+            uploadTimestamp: part.uploadTimestamp,
+        };
+    }
+
+    function getLargeFile(fileId) {
+        const f = largeFiles.get(fileId);
+
+        if (!f) {
+            throw b2Error(400, 'bad_request', `No active upload for: ${fileId}`);
+        }
+
+        return f;
+    }
+
+    function newUploadToken(target) {
+        const token = newId('upload');
+
+        uploadTokens.set(token, target);
+
+        return token;
+    }
+
+    const api = {
+        b2_authorize_account(req) {
+            const credentials = Buffer.from(
+                String(req.headers.authorization || '').replace(/^Basic /, ''),
+                'base64'
+            ).toString();
+
+            if (credentials !== `${keyId}:${o.applicationKey}`) {
+                throw b2Error(401, 'unauthorized', 'Invalid application key');
+            }
+
+            const token = newId('account');
+
+            accountTokens.add(token);
+
+            return {
+                accountId: o.accountId,
+                authorizationToken: token,
+                apiUrl: url,
+                downloadUrl: url,
+                recommendedPartSize: o.recommendedPartSize,
+                absoluteMinimumPartSize: o.absoluteMinimumPartSize,
+                allowed: { capabilities: [ 'listFiles', 'readFiles', 'writeFiles', 'deleteFiles' ] },
+            };
+        },
+
+        b2_get_upload_url(req, params) {
+            requireAccountToken(req);
+
+            return {
+                bucketId: params.bucketId,
+                uploadUrl: `${url}/b2api/v2/b2_upload_file/${encodeURIComponent(params.bucketId)}/${counter++}`,
+                authorizationToken: newUploadToken(`bucket:${params.bucketId}`),
+            };
+        },
+
+        async b2_upload_file(req, params, body, target) {
+            const bucketId = decodeURIComponent(target.split('/')[0]);
+            const token = requireUploadToken(req, `bucket:${bucketId}`);
+
+            busy.add(token);
+
+            try {
+                const { data, hash } = verifyData(req, await body());
+
+                const fileInfo = {};
+
+                for (const [ k, v ] of Object.entries(req.headers)) {
+                    if (k.startsWith('x-bz-info-')) {
+                        fileInfo[k.slice('x-bz-info-'.length)] = decodeHeader(v);
+                    }
+                }
+
+                const fileId = newId('file');
+
+                const f = {
+                    action: 'upload',
+                    bucketId,
+                    contentLength: data.length,
+                    contentSha1: hash,
+                    contentType: req.headers['content-type'] || 'b2/x-auto',
+                    fileId,
+                    fileInfo,
+                    fileName: decodeHeader(req.headers['x-bz-file-name']),
+                    uploadTimestamp: Date.now(),
+                    stored: await store(fileId, data),
+                };
+
+                files.set(fileId, f);
+
+                return fileResponse(f);
+            } finally {
+                busy.delete(token);
+            }
+        },
+
+        b2_start_large_file(req, params) {
+            requireAccountToken(req);
+
+            const fileId = newId('large');
+
+            const f = {
+                action: 'start',
+                bucketId: params.bucketId,
+                contentLength: 0,
+                contentSha1: 'none',
+                contentType: params.contentType || 'b2/x-auto',
+                fileId,
+                fileInfo: params.fileInfo || {},
+                fileName: params.fileName,
+                serverSideEncryption: params.serverSideEncryption && {
+                    mode: params.serverSideEncryption.mode,
+                    algorithm: params.serverSideEncryption.algorithm,
+                },
+                uploadTimestamp: Date.now(),
+                parts: new Map(),
+            };
+
+            largeFiles.set(fileId, f);
+
+            return fileResponse(f);
+        },
+
+        b2_get_upload_part_url(req, params) {
+            requireAccountToken(req);
+            getLargeFile(params.fileId);
+
+            return {
+                fileId: params.fileId,
+                uploadUrl: `${url}/b2api/v2/b2_upload_part/${encodeURIComponent(params.fileId)}/${counter++}`,
+                authorizationToken: newUploadToken(`file:${params.fileId}`),
+            };
+        },
+
+        async b2_upload_part(req, params, body, target) {
+            const fileId = decodeURIComponent(target.split('/')[0]);
+            const token = requireUploadToken(req, `file:${fileId}`);
+
+            busy.add(token);
+
+            try {
+                const f = getLargeFile(fileId);
+                const { data } = verifyData(req, await body());
+
+                return await storePart(f, parseInt(req.headers['x-bz-part-number']), data);
+            } finally {
+                busy.delete(token);
+            }
+        },
+
+        async b2_finish_large_file(req, params) {
+            requireAccountToken(req);
+
+            const f = getLargeFile(params.fileId);
+            const hashes = params.partSha1Array || [];
+
+            if (hashes.length !== f.parts.size || hashes.length < 1) {
+                throw b2Error(400, 'bad_request', 'Part SHA-1 array does not match the uploaded parts');
+            }
+
+            const parts = hashes.map((hash, i) => {
+                const part = f.parts.get(i + 1);
+
+                if (!part || part.contentSha1 !== String(hash).toLowerCase()) {
+                    throw b2Error(400, 'bad_request', `Part ${i + 1} is missing or has a different SHA-1`);
+                }
+
+                if (i < hashes.length - 1 && part.contentLength < o.absoluteMinimumPartSize) {
+                    throw b2Error(400, 'bad_request', `Part ${i + 1} is smaller than the minimum part size`);
+                }
+
+                return part;
+            });
+
+            const data = Buffer.concat(await Promise.all(parts.map(part => load(part.stored))));
+
+            await Promise.all(parts.map(part => discard(part.stored)));
+
+            largeFiles.delete(f.fileId);
+
+            const finished = {
+                ...f,
+                action: 'upload',
+                contentLength: data.length,
+                stored: await store(f.fileId, data),
+            };
+
+            delete finished.parts;
+            files.set(f.fileId, finished);
+
+            return fileResponse(finished);
+        },
+
+        async b2_cancel_large_file(req, params) {
+            requireAccountToken(req);
+
+            const f = getLargeFile(params.fileId);
+
+            await Promise.all([ ...f.parts.values() ].map(part => discard(part.stored)));
+            largeFiles.delete(f.fileId);
+
+            return {
+                accountId: o.accountId,
+                bucketId: f.bucketId,
+                fileId: f.fileId,
+                fileName: f.fileName,
+            };
+        },
+
+        b2_list_unfinished_large_files(req, params) {
+            requireAccountToken(req);
+
+            const matching = [ ...largeFiles.values() ]
+                .filter(f => f.bucketId === params.bucketId)
+                .filter(f => !params.namePrefix || f.fileName.startsWith(params.namePrefix))
+                .sort((a, b) => a.fileId < b.fileId ? -1 : a.fileId > b.fileId ? 1 : 0)
+                .filter(f => !params.startFileId || f.fileId >= params.startFileId);
+
+            const max = params.maxFileCount || 100;
+
+            return {
+                files: matching.slice(0, max).map(fileResponse),
+                nextFileId: matching.length > max ? matching[max].fileId : null,
+            };
+        },
+
+        b2_list_file_names(req, params) {
+            requireAccountToken(req);
+
+            // The latest version of each name.  Files are stored in the order
+            // they were uploaded, so later versions replace earlier ones.
+            const latest = new Map();
+
+            for (const f of files.values()) {
+                if (f.bucketId === params.bucketId) {
+                    latest.set(f.fileName, f);
+                }
+            }
+
+            const matching = [ ...latest.values() ]
+                .filter(f => f.action === 'upload' && f.fileName.startsWith(params.prefix || ''))
+                .filter(f => !params.startFileName || f.fileName >= params.startFileName)
+                .sort((a, b) => a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : 0);
+
+            const max = params.maxFileCount || 100;
+
+            return {
+                files: matching.slice(0, max).map(fileResponse),
+                nextFileName: matching.length > max ? matching[max].fileName : null,
+            };
+        },
+
+        b2_list_parts(req, params) {
+            requireAccountToken(req);
+
+            const f = getLargeFile(params.fileId);
+
+            const matching = [ ...f.parts.values() ]
+                .filter(part => part.partNumber >= (params.startPartNumber || 1))
+                .sort((a, b) => a.partNumber - b.partNumber);
+
+            const max = params.maxPartCount || 100;
+
+            return {
+                parts: matching.slice(0, max).map(part => ({
+                    fileId: f.fileId,
+                    partNumber: part.partNumber,
+                    contentLength: part.contentLength,
+                    contentSha1: part.contentSha1,
+                    uploadTimestamp: part.uploadTimestamp,
+                })),
+                nextPartNumber: matching.length > max ? matching[max].partNumber : null,
+            };
+        },
+
+        b2_get_file_info(req, params) {
+            requireAccountToken(req);
+
+            return fileResponse(getFile(params.fileId));
+        },
+
+        async b2_copy_file(req, params) {
+            requireAccountToken(req);
+
+            const source = getFile(params.sourceFileId);
+            const replace = params.metadataDirective === 'REPLACE';
+
+            if (!replace && (params.contentType !== undefined || params.fileInfo !== undefined)) {
+                throw b2Error(400, 'bad_request', 'contentType and fileInfo are only allowed with metadataDirective REPLACE');
+            }
+
+            const data = await loadRange(source, params.range);
+            const fileId = newId('file');
+
+            const f = {
+                action: 'upload',
+                bucketId: params.destinationBucketId || source.bucketId,
+                contentLength: data.length,
+                contentSha1: sha1(data),
+                contentType: replace ? params.contentType || 'b2/x-auto' : source.contentType,
+                fileId,
+                fileInfo: replace ? params.fileInfo || {} : source.fileInfo,
+                fileName: params.fileName,
+                uploadTimestamp: Date.now(),
+                stored: await store(fileId, data),
+            };
+
+            files.set(fileId, f);
+
+            return fileResponse(f);
+        },
+
+        b2_hide_file(req, params) {
+            requireAccountToken(req);
+
+            const fileId = newId('file');
+
+            const f = {
+                action: 'hide',
+                bucketId: params.bucketId,
+                contentLength: 0,
+                contentSha1: 'none',
+                contentType: 'application/x-bz-hide-marker',
+                fileId,
+                fileInfo: {},
+                fileName: params.fileName,
+                uploadTimestamp: Date.now(),
+                stored: { data: Buffer.alloc(0) },
+            };
+
+            files.set(fileId, f);
+
+            return fileResponse(f);
+        },
+
+        async b2_download_file_by_id(req, params) {
+            requireAccountToken(req);
+
+            const f = getFile(params.fileId);
+            const data = await load(f.stored);
+
+            const headers = {
+                'accept-ranges': 'bytes',
+                'content-type': f.contentType,
+                'x-bz-content-sha1': f.contentSha1,
+                'x-bz-file-id': f.fileId,
+                'x-bz-file-name': encodeURIComponent(f.fileName),
+                'x-bz-upload-timestamp': String(f.uploadTimestamp),
+            };
+
+            for (const [ k, v ] of Object.entries(f.fileInfo)) {
+                headers[`x-bz-info-${k}`] = encodeURIComponent(v);
+            }
+
+            const m = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+
+            if (!m) {
+                return { [RAW]: { status: 200, headers, body: data } };
+            }
+
+            const start = +m[1];
+            const end = Math.min(+m[2], data.length - 1);
+
+            if (start > end) {
+                throw b2Error(416, 'range_not_satisfiable', `Invalid range: ${req.headers.range}`);
+            }
+
+            headers['content-range'] = `bytes ${start}-${end}/${data.length}`;
+
+            return { [RAW]: { status: 206, headers, body: data.subarray(start, end + 1) } };
+        },
+
+        async b2_copy_part(req, params) {
+            requireAccountToken(req);
+
+            const f = getLargeFile(params.largeFileId);
+            const data = await loadRange(getFile(params.sourceFileId), params.range);
+
+            return storePart(f, params.partNumber, data);
+        },
+    };
+
+    // Returns the fault to inject into a request, if any.
+    function findFault(name, req) {
+        for (const rule of faults) {
+            const apis = rule.api === undefined ? undefined : [].concat(rule.api);
+
+            if (apis && !apis.includes(name) || rule.when && !rule.when(name, req)) {
+                continue;
+            }
+
+            if (rule.skip > 0) {
+                rule.skip -= 1;
+                continue;
+            }
+
+            rule.times -= 1;
+            rule.handle.hits += 1;
+
+            if (rule.times <= 0) {
+                faults.splice(faults.indexOf(rule), 1);
+            }
+
+            return rule;
+        }
+
+        return undefined;
+    }
+
+    function respond(res, entry, status, body, headers = {}) {
+        entry.status = status;
+
+        res.writeHead(status, { 'content-type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    }
+
+    async function injectFault(rule, req, res, entry) {
+        entry.fault = rule.type;
+
+        switch (rule.type) {
+        case 'connection-reset':
+            req.socket.destroy();
+            return;
+
+        case 'hang':
+            hung.add(req.socket);
+            req.socket.on('close', () => { hung.delete(req.socket); });
+            req.resume();
+            return;
+
+        default:
+        }
+
+        // Consume the body first, as B2 would.
+        await readBody(req);
+
+        switch (rule.type) {
+        case 'service-unavailable':
+            respond(res, entry, 503, { status: 503, code: 'service_unavailable', message: 'c001_v0001016_t0034 is too busy' });
+            break;
+
+        case 'too-many-requests':
+            respond(
+                res, entry, 429,
+                { status: 429, code: 'too_many_requests', message: 'Too many requests' },
+                { 'retry-after': String(rule.retryAfter) }
+            );
+            break;
+
+        case 'expired-auth-token':
+            respond(res, entry, 401, { status: 401, code: 'expired_auth_token', message: 'Authorization token has expired' });
+            break;
+
+        case 'token-in-use':
+            respond(res, entry, 400, {
+                status: 400,
+                code: 'bad_request',
+                message: `more than one upload using auth token ${req.headers.authorization}`,
+            });
+            break;
+
+        default:
+        }
+    }
+
+    async function handle(req, res) {
+        const u = new URL(req.url, url);
+        const m = /^\/b2api\/v\d+\/(b2_[a-z_]+)(?:\/(.*))?$/.exec(u.pathname);
+        const name = m && m[1];
+
+        const entry = { api: name, method: req.method, status: undefined };
+
+        requests.push(entry);
+
+        try {
+            if (!name || !api[name]) {
+                throw b2Error(404, 'not_found', `Unsupported call: ${u.pathname}`);
+            }
+
+            const rule = findFault(name, req);
+
+            if (rule && rule.type !== 'cut-off') {
+                await injectFault(rule, req, res, entry);
+                return;
+            }
+
+            // Uploads read their own bodies; the other calls take JSON
+            // parameters in the body (or the query string).
+            const upload = name === 'b2_upload_file' || name === 'b2_upload_part';
+            let params = Object.fromEntries(u.searchParams);
+
+            if (!upload) {
+                const body = await readBody(req);
+
+                if (body.length) {
+                    try {
+                        params = { ...params, ...JSON.parse(body.toString('utf8')) };
+                    } catch (err) {
+                        throw b2Error(400, 'bad_request', 'Invalid JSON body');
+                    }
+                }
+            }
+
+            const result = await api[name](req, params, () => readBody(req), m[2] || '');
+
+            if (rule) {
+                entry.fault = rule.type;
+            }
+
+            const { status, headers, body } = result[RAW] || {
+                status: 200,
+                headers: { 'content-type': 'application/json' },
+                body: Buffer.from(JSON.stringify(result)),
+            };
+
+            entry.status = status;
+
+            res.writeHead(status, { ...headers, 'content-length': body.length });
+
+            if (rule) {
+                res.write(body.subarray(0, body.length >>> 1), () => { req.socket.destroy(); });
+            } else {
+                res.end(req.method === 'HEAD' ? undefined : body);
+            }
+        } catch (err) {
+            if (!err.status) {
+                err = b2Error(500, 'internal_error', err.message);
+            }
+
+            // Drain whatever is left of the body, so the client sees the
+            // response rather than a reset.
+            req.resume();
+
+            respond(res, entry, err.status, { status: err.status, code: err.b2Code, message: err.message });
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(() => { req.socket.destroy(); });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(o.port, o.host, resolve);
+    });
+
+    url = `http://${o.host}:${server.address().port}`;
+
+    return {
+        url,
+
+        authorizeUrl: `${url}/b2api/v2/b2_authorize_account`,
+
+        requests,
+
+        fault(rule) {
+            const r = Joi.attempt(rule, faultSchema);
+
+            r.handle = {
+                hits: 0,
+
+                remove() {
+                    const i = faults.indexOf(r);
+
+                    if (i !== -1) {
+                        faults.splice(i, 1);
+                    }
+                },
+            };
+
+            faults.push(r);
+
+            return r.handle;
+        },
+
+        clearFaults() {
+            faults.length = 0;
+        },
+
+        expireAuthorizations() {
+            accountTokens.clear();
+        },
+
+        files() {
+            return [ ...files.values() ].map(fileResponse);
+        },
+
+        unfinishedLargeFiles() {
+            return [ ...largeFiles.values() ].map(f => ({ ...fileResponse(f), parts: f.parts.size }));
+        },
+
+        getFileData(fileId) {
+            const f = files.get(fileId);
+
+            return f ? load(f.stored) : Promise.reject(new Error(`No such file: ${fileId}`));
+        },
+
+        close() {
+            hung.forEach(socket => { socket.destroy(); });
+
+            return new Promise(resolve => {
+                server.close(() => { resolve(); });
+
+                if (server.closeAllConnections) {
+                    server.closeAllConnections();
+                }
+            });
+        },
+    };
+};
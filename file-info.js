@@ -0,0 +1,82 @@
+const Joi = require('@hapi/joi');
+
+// B2 accepts up to 10 custom file info entries, and the encoded file name and
+// file info headers must fit within 7,000 bytes.
+const MAX_ENTRIES = 10;
+const MAX_HEADER_BYTES = 7000;
+
+// Keys starting with "b2-" are reserved.  These are the reserved keys that
+// may be set, and cause B2 to send the corresponding header on download.
+const SPECIAL_KEYS = [
+    'b2-cache-control',
+    'b2-content-disposition',
+    'b2-content-encoding',
+    'b2-content-language',
+    'b2-expires',
+];
+
+const schema = Joi.object()
+    .pattern(
+        Joi.string().max(50).pattern(/^[A-Za-z0-9_-]+$/),
+        Joi.string().required()
+    )
+    .max(MAX_ENTRIES)
+    .custom((v, helpers) => {
+        const reserved = Object.keys(v).find(k =>
+            k.toLowerCase().startsWith('b2-') &&
+            !SPECIAL_KEYS.includes(k.toLowerCase())
+        );
+
+        return reserved === undefined ? v :
+            helpers.message(`"${reserved}" is a reserved file info key`);
+    });
+
+// B2 wants header values to be percent-encoded UTF-8.
+function encode(v) {
+    return encodeURIComponent(v);
+}
+
+// Returns the headers to send with b2_upload_file for the given file info.
+function toHeaders(fileInfo) {
+    const headers = {};
+
+    for (const [ k, v ] of Object.entries(fileInfo)) {
+        headers[`x-bz-info-${k}`] = encode(v);
+    }
+
+    return headers;
+}
+
+// Throws if the encoded file name and file info would exceed B2's size limit.
+function assertFits(fileName, fileInfo) {
+    const size = Object.entries(toHeaders(fileInfo)).reduce(
+        (sum, [ k, v ]) => sum + k.length + v.length,
+        'x-bz-file-name'.length + encode(fileName).length
+    );
+
+    if (size > MAX_HEADER_BYTES) {
+        throw new Error(
+            `File name and file info are ${size} bytes when encoded; ` +
+            `B2 permits at most ${MAX_HEADER_BYTES}`
+        );
+    }
+}
+
+// Returns the SHA-1 hash B2 knows for a file (as returned by
+// b2_list_file_names or b2_get_file_info), or undefined if there isn't one.
+// Large files only have the large_file_sha1 file info value, if any.
+function storedSha1(file) {
+    const sha1 =
+        file.contentSha1 && file.contentSha1 !== 'none' ? file.contentSha1 :
+        file.fileInfo && file.fileInfo.large_file_sha1;
+
+    return sha1 ? sha1.replace(/^unverified:/, '').toLowerCase() : undefined;
+}
+
+module.exports = {
+    MAX_ENTRIES,
+    schema,
+    toHeaders,
+    assertFits,
+    storedSha1,
+};
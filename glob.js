@@ -0,0 +1,62 @@
+// Minimal glob matching for relative paths using "/" as the separator.
+//
+// * "**" matches any number of path segments, including none.
+// * "*" matches any characters except "/".
+// * "?" matches any one character except "/".
+// * "[...]" matches one character in the set, as in a regular expression.
+//
+// All other characters match themselves.
+
+function escape(c) {
+    return c.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+function toRegExp(glob) {
+    let re = '';
+
+    for (let i = 0; i < glob.length; i += 1) {
+        const c = glob[i];
+
+        if (c === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') {
+                // "**/" also matches no directories at all.
+                re += '(?:.*/)?';
+                i += 2;
+            } else {
+                re += '.*';
+                i += 1;
+            }
+        } else if (c === '*') {
+            re += '[^/]*';
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[') {
+            const end = glob.indexOf(']', i + 1);
+
+            if (end === -1) {
+                re += escape(c);
+            } else {
+                const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+
+                re += set[0] === '!' ? `[^${set.slice(1)}]` : `[${set}]`;
+                i = end;
+            }
+        } else {
+            re += escape(c);
+        }
+    }
+
+    return new RegExp(`^${re}$`);
+}
+
+// Returns a function that tests whether a path matches any of the globs.
+function matcher(globs) {
+    const res = globs.map(toRegExp);
+
+    return path => res.some(re => re.test(path));
+}
+
+module.exports = {
+    toRegExp,
+    matcher,
+};
@@ -0,0 +1,12 @@
+const fs = require('fs');
+
+const hashStream = require('./streams/hash');
+
+// Reads a local file, returning a promise for its hex-encoded SHA-1 hash.
+module.exports = file => new Promise((resolve, reject) => {
+    fs.createReadStream(file)
+    .on('error', reject)
+    .pipe(hashStream('sha1'))
+    .on('hash', h => { resolve(h.toString('hex')); })
+    .resume();
+});
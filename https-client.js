@@ -2,22 +2,104 @@
 // Unfortunately, axios does not give us a good way to detect this or react to
 // it, so for some calls we will directly use node's http client with a socket
 // timeout set.
+//
+// Plain http: URLs are supported too, so that requests can be pointed at a
+// fake server (see fake-b2-server.js).
+const http = require('http');
 const https = require('https');
 
+const { abortError, onAbort } = require('./abort');
+const bufferStream = require('./streams/buffer');
+const throttleStream = require('./streams/throttle');
+const safePipe = require('./safe-pipe');
+const requestTimeouts = require('./timeouts');
+
+// Buffers are written in slices of this size when progress is being reported
+// or the body is throttled, so that progress is observed while the buffer is
+// sent instead of once at the end.
+const PROGRESS_SLICE_SIZE = 64 * 1024;
+
+function sliceBuffer(buf) {
+    const slices = [];
+
+    for (let i = 0; i < buf.length; i += PROGRESS_SLICE_SIZE) {
+        slices.push(buf.subarray(i, i + PROGRESS_SLICE_SIZE));
+    }
+
+    return slices;
+}
+
+// In addition to the options accepted by https.request(), options may contain:
+//
+// * onProgress: Function invoked with the number of bytes as each chunk of the
+//   request body is sent.
+//
+// * signal: AbortSignal.  When aborted, the request is destroyed (even if the
+//   body is still being sent) and the promise rejects with an abort error.
+//
+// * onResponseData: Function invoked with each chunk (a Buffer) of a successful
+//   response body.  When given, the body isn't parsed; the promise resolves to
+//   an object with the status and headers of the response once it ends.
+//   Unsuccessful responses are handled as usual.  If the function returns a
+//   promise, the response is paused until it resolves, and the request fails
+//   if it rejects.
+//
+// * timeouts: The timeouts of the request; see timeouts.js.  Attributes that
+//   aren't given take their default values.  When a timeout expires, the
+//   request is destroyed and the promise rejects with an error whose code
+//   identifies the timeout.
+//
+// * throttles: Array of throttles (see throttle.js) limiting the rate at which
+//   the body is sent.  Time spent waiting for a throttle doesn't count as a
+//   stall.
 module.exports = (url, options, body) => {
+    const { onProgress, onResponseData, signal, throttles, timeouts, ...requestOptions } = options;
+
+    const t = requestTimeouts.resolve(timeouts);
+
+    let removeAbortListener = () => {};
+    const timers = [];
+
+    // The throttled body stream, if any.
+    let throttled;
+
     return new Promise((resolve, reject) => {
         let axiosResponse;
 
-        const request = https.request(url, options, response => {
+        // Whether the body of the request or the response is being
+        // transferred, which is when stalls are detected.
+        let transferring = false;
+
+        const request = (new URL(url).protocol === 'http:' ? http : https).request(url, {
+            ...requestOptions,
+            timeout: Number.isFinite(t.idle) ? t.idle : undefined,
+        }, response => {
             axiosResponse = {
                 status: response.statusCode,
                 headers: response.headers,
             };
 
+            transferring = true;
+
+            response.on('error', fail);
+            response.on('end', () => { transferring = false; });
+
+            if (onResponseData && response.statusCode >= 200 && response.statusCode < 400) {
+                response.on('data', chunk => {
+                    const p = onResponseData(chunk);
+
+                    if (p) {
+                        response.pause();
+                        p.then(() => { response.resume(); }, fail);
+                    }
+                });
+                response.on('end', () => { resolve(axiosResponse); });
+                return;
+            }
+
             response.setEncoding('utf8');
             let buf = '';
 
-            response.on('error', fail);
             response.on('data', chunk => { buf += chunk; });
             response.on('end', () => {
                 const success = response.statusCode >= 200 && response.statusCode < 400;
@@ -57,16 +139,95 @@ module.exports = (url, options, body) => {
             request.aborted || request.abort();
         }
 
-        request.on('error', fail);
-        request.on('timeout', () => {
+        function timedOut(which, message) {
             fail(
                 Object.assign(
-                    new Error('Request timed out'),
-                    { code: 'ETIMEDOUT' }
+                    new Error(message),
+                    { code: requestTimeouts.codes[which] }
                 )
             );
+        }
+
+        request.on('error', fail);
+        request.on('timeout', () => {
+            timedOut('idle', 'Request timed out');
+        });
+
+        if (Number.isFinite(t.total)) {
+            timers.push(setTimeout(() => {
+                timedOut('total', `Request did not complete within ${t.total}ms`);
+            }, t.total));
+        }
+
+        request.on('socket', socket => {
+            // A reused connection is already established.
+            if (Number.isFinite(t.connect) && socket.connecting) {
+                const timer = setTimeout(() => {
+                    timedOut('connect', `Connection was not established within ${t.connect}ms`);
+                }, t.connect);
+
+                timers.push(timer);
+                socket.once(socket.encrypted ? 'secureConnect' : 'connect', () => {
+                    clearTimeout(timer);
+                });
+            }
+
+            if (t.stall) {
+                transferring = !!body;
+
+                // Bytes already counted, as the connection may be reused.
+                let counted = socket.bytesWritten + socket.bytesRead;
+
+                timers.push(setInterval(() => {
+                    const total = socket.bytesWritten + socket.bytesRead;
+
+                    if (
+                        transferring && !socket.connecting &&
+                        !(throttled && throttled.throttled) &&
+                        total - counted < t.stall.bytes
+                    ) {
+                        timedOut('stall', `Fewer than ${t.stall.bytes} bytes were transferred in ${t.stall.window}ms`);
+                    }
+
+                    counted = total;
+
+                    if (throttled) {
+                        throttled.throttled = false;
+                    }
+                }, t.stall.window));
+            }
         });
 
+        // Once the body is sent, the server may take a while to respond.
+        request.on('finish', () => { transferring = false; });
+
+        removeAbortListener = onAbort(signal, () => { fail(abortError()); });
+
+        if (signal && signal.aborted) {
+            return;
+        }
+
+        const throttle = body && throttles && throttles.length;
+
+        if (body && (onProgress || throttle)) {
+            if (typeof body === 'string') {
+                body = Buffer.from(body, 'utf8');
+            }
+
+            if (Buffer.isBuffer(body)) {
+                body = bufferStream(sliceBuffer(body));
+            }
+
+            if (throttle && typeof body.read === 'function') {
+                throttled = safePipe(body, throttleStream(throttles));
+                body = throttled;
+            }
+
+            if (onProgress && typeof body.read === 'function') {
+                body.on('data', chunk => { onProgress(chunk.length); });
+            }
+        }
+
         if (body) {
             if (typeof body === 'string') {
                 request.write(body, 'utf8');
@@ -80,5 +241,14 @@ module.exports = (url, options, body) => {
         }
 
         request.end();
+    })
+    .finally(() => {
+        removeAbortListener();
+        timers.forEach(timer => { clearTimeout(timer); });
+
+        // Return whatever a waiting throttle grants once the request is over.
+        if (throttled) {
+            throttled.destroy();
+        }
     });
 };
@@ -1,13 +1,29 @@
+const EventEmitter = require('events');
 const Joi = require('@hapi/joi');
 const memoize = require('memoizee');
 const pRetry = require('p-retry');
 const { v4: uuidv4 } = require('uuid');
 
+const abort = require('./abort');
+const b2Api = require('./b2-api');
+const createEmit = require('./events');
+const createSemaphore = require('./fair-semaphore');
+const fileInfo = require('./file-info');
 const hashStream = require('./streams/hash');
+const hashSuffixStream = require('./streams/hash-suffix');
 const httpsRequest = require('./https-client');
+const createMetrics = require('./metrics');
+const createProgress = require('./progress');
+const partSizes = require('./part-size');
 const pUtils = require('./promise-utils');
+const retryPolicy = require('./retry-policy');
 const safePipe = require('./safe-pipe');
+const sse = require('./server-side-encryption');
 const sourceInterface = require('./source-interface');
+const syncPromise = require('./sync-promise');
+const createThrottle = require('./throttle');
+const requestTimeouts = require('./timeouts');
+const tokenPool = require('./token-pool');
 const { trace } = require('./log');
 
 // We store our private data on the client object itself, using a symbol to
@@ -16,97 +32,210 @@ const privSymbol = Symbol('upload-any-data');
 
 function getPriv(o) {
     if (!o[privSymbol]) {
+        // Lifecycle events of everything done with the client; see events.js.
+        const events = new EventEmitter();
+        const emitClientEvent = createEmit(events, {});
+
+        // The token pools of every borrow function in use, for stats and
+        // metrics, and to discard their tokens when the client is closed.
+        const pools = new Set();
+
+        const poolOptions = () => tokenPool.resolve(o[privSymbol].tokenPool);
+
+        // The number of uploads, copies and downloads in progress, and the
+        // functions to call once there are none.
+        let operations = 0;
+        let idleWaiters = [];
+
+        let closed;
+
+        // Returns a function reporting the tokens a pool discards outside of
+        // a call of its borrow function.
+        const reportDiscarded = pool => reason => {
+            emitClientEvent('token.discarded', { reason, poolSize: pool.size() });
+        };
+
+        // Discards the idle tokens of a pool that is no longer needed.
+        function closePool(pool) {
+            pool.close(reportDiscarded(pool));
+            pools.delete(pool);
+        }
+
         const reauth = memoize(
             () => o.authorize(),
             { promise: true, maxAge: 1000 * 60 * 10 /* 10 minutes */ }
         );
 
+        // Determines whether an error was thrown by a request made with the
+        // token.  Upload tokens are only used with their upload URL, and
+        // account tokens with URLs below the API or download URL.
+        function usedToken(err, token) {
+            const url = err.config && err.config.url;
+
+            return !!url && (
+                url === token.uploadUrl ||
+                [ token.apiUrl, token.downloadUrl ].some(base => !!base && url.startsWith(`${base}/`))
+            );
+        }
+
         // Generic "token bucket" factory.  The argument is a function that
         // will be invoked to request a new token.  Returns a "borrow" function
         // that accepts a worker function.
         //
-        // Works with both standard uploads (bucket tokens) and large-file
-        // uploads (large-file tokens).
-        function createBorrowFn(getTokenFn) {
-            const queue = [];
+        // Works with standard uploads (bucket tokens), large-file uploads
+        // (large-file tokens), and downloads and other API calls (account
+        // tokens).  label describes the pool of tokens in stats.
+        function createBorrowFn(getTokenFn, label) {
+            const pool = tokenPool.createPool(poolOptions, label);
+
+            pools.add(pool);
 
             // The borrow function.  Invokes the argument with a token,
-            // possibly multiple times if an error is thrown.
-            return workerFn => {
+            // possibly multiple times if an error is thrown.  If options.signal
+            // is aborted, no further attempts are made and the returned
+            // promise rejects immediately, even during a backoff delay.
+            // options.retry is the retry policy of the call, which takes
+            // precedence over the client's.  options.emit is the call's event
+            // emitter (see events.js), which defaults to the client's.
+            // options.acquire is an optional function that takes a slot of a
+            // limit shared with other calls, such as the client's request
+            // limit; it returns a promise for a function releasing the slot.
+            // Each attempt takes a slot before it takes a token, so that calls
+            // waiting for a slot don't hold (or fetch) tokens meanwhile.
+            const borrow = (workerFn, { signal, retry, emit = emitClientEvent, acquire } = {}) => {
+                const policy = retryPolicy.resolve(o[privSymbol].retry, retry);
+                const started = Date.now();
+
+                const discarded = reason => {
+                    emit('token.discarded', { reason, poolSize: pool.size() });
+                };
+
+                const pastDeadline = (delay = 0) => Date.now() - started + delay >= policy.deadline;
+
+                // Decides how to handle an error, letting the policy's
+                // classifier override the decision.
+                function decide(err, decision) {
+                    if (!policy.classify) {
+                        return decision;
+                    }
+
+                    let override;
+
+                    try {
+                        override = policy.classify(err, { ...decision });
+                    } catch (classifyErr) {
+                        throw new pRetry.AbortError(classifyErr);
+                    }
+
+                    return { ...decision, ...override };
+                }
+
+                let lastError;
+
                 async function attempt() {
+                    if (signal && signal.aborted) {
+                        throw new pRetry.AbortError(abort.abortError());
+                    }
+
+                    // The backoff delay may have ended past the deadline.
+                    if (lastError && pastDeadline()) {
+                        throw new pRetry.AbortError(lastError);
+                    }
+
                     let token;
+                    let releaseSlot = () => {};
 
                     try {
-                        token = queue.shift() || await getTokenFn();
+                        if (acquire) {
+                            releaseSlot = await acquire();
+                        }
+
+                        token = pool.take(discarded);
+
+                        if (token) {
+                            emit('token.reused', { poolSize: pool.size() });
+                        } else {
+                            token = await getTokenFn();
+                            pool.add(token);
+                            emit('token.acquired', { poolSize: pool.size() });
+                        }
 
                         const result = await workerFn(token);
-                        queue.push(token);
+                        releaseSlot();
+                        pool.put(token, discarded);
 
                         return result;
                     } catch (err) {
+                        // Don't hold the slot while deciding what to do, or
+                        // while waiting to try again.  (Release functions may
+                        // be called more than once.)
+                        releaseSlot();
+
                         const detail = { err, ...err.logDetail };
 
-                        if (token && (!err.config || err.config.url !== token.uploadUrl)) {
+                        lastError = err;
+
+                        let decision;
+
+                        if (token && !usedToken(err, token)) {
                             trace(detail, 'Error caught by a borrow function; unrelated to B2');
 
                             // The error doesn't seem related to B2 requests.
-                            // Return the token and forward the error.
-                            queue.push(token);
-                            throw err;
+                            // Keep the token and try again.
+                            decision = decide(err, { reauth: false, retry: true, discard: false });
+                        } else if (abort.isAbortError(err)) {
+                            trace(detail, 'Error caught by a borrow function; aborted');
+
+                            // The request may have been interrupted while
+                            // sending the body, in which case B2 may still
+                            // consider the token to be in use.  Discard it.
+                            if (token) {
+                                pool.drop();
+                                discarded(retryPolicy.reason(err));
+                            }
+
+                            throw new pRetry.AbortError(err);
+                        } else {
+                            decision = decide(err, retryPolicy.classify(err));
                         }
 
-                        const r = err.response || {};
-                        const retryAfter = parseInt(r.headers && r.headers['retry-after']);
+                        trace({ ...detail, ...decision }, 'Error caught by a borrow function');
 
-                        let retry = false;
-                        let discard = false;
+                        if (token && !decision.discard) {
+                            pool.put(token, discarded);
+                        } else if (token) {
+                            pool.drop();
+                            discarded(retryPolicy.reason(err));
+                        }
 
-                        if (r.status === 401) {
-                            trace(detail, 'Error caught by a borrow function; reauthenticating');
+                        if (decision.reauth) {
+                            emit('reauthorize', { reason: retryPolicy.reason(err) });
 
                             // Reauthenticate and immediately recurse; this
-                            // shouldn't "count" as a retry since it is an
-                            // obvious error with a known fix.
+                            // doesn't "count" as a retry.
                             await reauth();
                             return attempt();
-                        } else if (r.status === 503 || err.code === 'ECONNREFUSED' || err.code === 'ETIMEDOUT') {
-                            // The token expired or we couldn't reach the
-                            // server.
-                            retry = true;
-                            discard = true;
-                        } else if (r.status === 400 && r.data && r.data.message && r.data.message.startsWith('more than one upload using auth token')) {
-                            // The server thinks there is an outstanding
-                            // request using this same token. Likely a prior
-                            // request already failed with ETIMEDOUT or
-                            // ECONNRESET and we noticed before the server.
-                            // This token might become valid again later, but
-                            // if the token queue is currently empty we'll just
-                            // wind up retrying with the same token. Therefore,
-                            // discard it.
-                            retry = true;
-                            discard = true;
-                        } else if (err.code === 'ECONNRESET' || err.code === 'EAI_AGAIN' || r.status === 500 || r.status === 429) {
-                            // Retry in these scenarios but keep the token.
-                            retry = true;
                         }
 
-                        trace({ ...detail, retry, discard }, 'Error caught by a borrow function');
-
-                        if (!discard) {
-                            queue.push(token);
-                        }
-
-                        if (!retry) {
+                        if (!decision.retry) {
                             throw new pRetry.AbortError(err);
                         }
 
-                        if (Number.isFinite(retryAfter)) {
+                        const retryAfter = retryPolicy.retryAfter(err);
+
+                        if (retryAfter !== undefined) {
+                            if (pastDeadline(retryAfter)) {
+                                throw new pRetry.AbortError(err);
+                            }
+
                             // If retry-after was specified we delay and
                             // recurse ourselves.  This doesn't consume one of
                             // the p-retry retries, but we have no way to
                             // communicate the requested delay to p-retry so we
                             // have no choice.
-                            await pUtils.delay(retryAfter);
+                            emit('retry', { reason: retryPolicy.reason(err), delay: retryAfter, retryAfter: true, err });
+
+                            await abort.raceAbort(pUtils.delay(retryAfter), signal);
                             return attempt();
                         }
 
@@ -114,11 +243,61 @@ function getPriv(o) {
                     }
                 }
 
-                return pRetry(attempt, {
-                    retries: 9, // 10 tries overall
-                    maxTimeout: 30 * 1000,
-                });
+                // The backoff delays are ours rather than p-retry's, so that
+                // they can be reported.
+                return abort.raceAbort(
+                    pRetry(attempt, {
+                        retries: policy.attempts - 1,
+                        minTimeout: 0,
+                        maxTimeout: 0,
+                        onFailedAttempt: async err => {
+                            if (!err.retriesLeft) {
+                                return;
+                            }
+
+                            const delay = retryPolicy.backoff(policy, err.attemptNumber);
+
+                            // Don't wait for another attempt that would start
+                            // after the deadline.
+                            if (pastDeadline(delay)) {
+                                throw err;
+                            }
+
+                            emit('retry', { reason: retryPolicy.reason(err), delay, attempt: err.attemptNumber, err });
+
+                            await abort.raceAbort(pUtils.delay(delay), signal);
+                        },
+                    }),
+                    signal
+                );
+            };
+
+            // Acquires tokens until the pool holds count idle ones (or as
+            // many as it may hold), so that a burst of requests doesn't wait
+            // for them.  The tokens are requested concurrently, each retried
+            // like an API call.  Resolves to the number of idle tokens.
+            borrow.prefetch = async (count, { signal, retry } = {}) => {
+                const missing = Math.min(count, poolOptions().maxIdle) - pool.size();
+
+                await Promise.all(Array.from({ length: Math.max(missing, 0) }, async () => {
+                    const token = await o[privSymbol].borrowAccountToken(getTokenFn, { signal, retry });
+
+                    pool.add(token);
+                    emitClientEvent('token.acquired', { poolSize: pool.size() });
+
+                    pool.put(token, reportDiscarded(pool));
+                }));
+
+                return pool.size();
             };
+
+            borrow.stats = () => pool.stats();
+
+            // Discards the idle tokens once the borrow function is no longer
+            // needed.  Tokens still in use are discarded when returned.
+            borrow.close = () => { closePool(pool); };
+
+            return borrow;
         }
 
         // Memoized function to get a borrow function for a specific bucket ID.
@@ -126,28 +305,148 @@ function getPriv(o) {
         // same bucket to share tokens.
         const getBucketBorrowFn = memoize(
             bucketId => createBorrowFn(
-                async () => (await o.getUploadUrl({ bucketId })).data
+                async () => (await o.getUploadUrl({ bucketId })).data,
+                { type: 'bucket', bucketId }
             ),
 
             { primitive: true }
         );
 
         o[privSymbol] = {
-            borrowBucketUploadToken(bucketId, workerFn) {
-                return getBucketBorrowFn(bucketId)(workerFn);
+            events,
+
+            // Counters and histograms fed by the events.
+            metrics: createMetrics(events, {
+                tokenPoolSize: () => [ ...pools ].reduce((n, pool) => n + pool.size(), 0),
+            }),
+
+            // The client's retry policy, request timeouts and token pool
+            // options; see configure().
+            retry: undefined,
+            timeouts: undefined,
+            tokenPool: undefined,
+
+            // Where the authorize() wrapper authorizes the client, if not at
+            // B2; see configure().
+            authorizeUrl: undefined,
+
+            // Client-wide limits shared by all uploads; see configure().
+            governor: {
+                requests: createSemaphore(),
+                buffers: createSemaphore(),
+                bandwidth: createThrottle(),
             },
 
+            borrowBucketUploadToken(bucketId, workerFn, options) {
+                return getBucketBorrowFn(bucketId)(workerFn, options);
+            },
+
+            prefetchBucketUploadTokens(bucketId, count, options) {
+                return getBucketBorrowFn(bucketId).prefetch(count, options);
+            },
+
+            // Downloads and API calls use the account's authorization token,
+            // which isn't limited to one request at a time.  A new token
+            // object is made whenever none is idle, so that one discarded
+            // after reauthorizing is replaced by the current credentials.
+            // (The B2 client's own methods use the client's current token;
+            // the token object then only identifies the requests.)
+            borrowAccountToken: createBorrowFn(
+                async () => ({
+                    apiUrl: o.apiUrl,
+                    downloadUrl: o.downloadUrl,
+                    authorizationToken: o.authorizationToken,
+                }),
+                { type: 'account' }
+            ),
+
             createLargeFileBorrowFn(fileId) {
                 return createBorrowFn(
-                    async () => (await o.getUploadPartUrl({ fileId })).data
+                    async () => (await o.getUploadPartUrl({ fileId })).data,
+                    { type: 'largeFile', fileId }
                 );
             },
+
+            tokenPoolStats() {
+                const stats = [ ...pools ].map(pool => {
+                    pool.evict(reportDiscarded(pool));
+                    return pool.stats();
+                });
+
+                return {
+                    pools: stats,
+                    idle: stats.reduce((n, p) => n + p.idle, 0),
+                    inUse: stats.reduce((n, p) => n + p.inUse, 0),
+                };
+            },
+
+            // Registers the start of an upload, copy or download.  Throws if
+            // the client was closed.  Returns a function to call when it
+            // ends.
+            beginOperation() {
+                if (closed) {
+                    throw Object.assign(new Error('The client was closed'), { code: 'ERR_CLIENT_CLOSED' });
+                }
+
+                operations += 1;
+
+                let ended = false;
+
+                return () => {
+                    if (!ended) {
+                        ended = true;
+                        operations -= 1;
+
+                        if (!operations) {
+                            const waiters = idleWaiters;
+
+                            idleWaiters = [];
+                            waiters.forEach(resolve => { resolve(); });
+                        }
+                    }
+                };
+            },
+
+            // Refuses new operations, waits for those in progress to end, and
+            // then discards every idle token.
+            close() {
+                closed = closed || (async () => {
+                    if (operations) {
+                        await new Promise(resolve => { idleWaiters.push(resolve); });
+                    }
+
+                    [ ...pools ].forEach(closePool);
+                    getBucketBorrowFn.clear();
+
+                    trace({}, 'Client closed');
+                })();
+
+                return closed;
+            },
         };
     }
 
     return o[privSymbol];
 }
 
+// Schema for a bandwidth limit: a number of bytes per second, or a function
+// returning the current limit (see throttle.js).
+const bytesPerSecondSchema = Joi.alternatives().try(
+    Joi.number().min(0).allow(Infinity),
+    Joi.function()
+);
+
+// Schema for the client-wide options accepted by configure().
+const clientOptionsSchema = Joi.object().required().keys({
+    authorizeUrl: Joi.string().uri({ scheme: [ 'http', 'https' ] }),
+    maxConcurrentRequests: Joi.number().integer().min(1).allow(Infinity),
+    maxBufferBytes: Joi.number().integer().min(0).allow(Infinity),
+    maxBytesPerSecond: bytesPerSecondSchema,
+    retry: retryPolicy.schema,
+    timeouts: requestTimeouts.schema,
+    tokenPool: tokenPool.schema,
+});
+
 // Define the schema for our upload options object.
 const uploadOptionsSchema = Joi.object().required().keys({
     bucketId: Joi.string().required(),
@@ -156,37 +455,147 @@ const uploadOptionsSchema = Joi.object().required().keys({
     data: Joi.alternatives().required().try(
         Joi.string().required(),
         Joi.object().required().instance(Buffer),
+        Joi.object().required().instance(URL),
         Joi.object().required().unknown(true).raw().keys({
             pipe: Joi.function().required(),
         }),
+        Joi.object().required().unknown(true).custom(
+            (v, helpers) =>
+                typeof Blob !== 'undefined' && v instanceof Blob ||
+                typeof v.getReader === 'function' ||
+                typeof v[Symbol.asyncIterator] === 'function' ? v :
+                helpers.error('any.invalid'),
+            'Blob, async iterable or ReadableStream'
+        ),
+        Joi.any().custom(
+            (v, helpers) => sourceInterface.isCustom(v) ? v : helpers.error('any.invalid'),
+            'custom source type'
+        ).messages({ 'any.invalid': '{{#label}} is not a supported type of data' }),
     ),
+    fileInfo: fileInfo.schema.default({}),
+    fileName: Joi.string().required(),
+    hashAtEnd: Joi.boolean().default(false),
+    keepUnfinished: Joi.boolean().default(false),
+    largeFileSha1: Joi.alternatives().try(
+        Joi.boolean(),
+        Joi.string().hex().length(40).lowercase()
+    ).default(true),
+    largeFileThreshold: Joi.number().integer()
+        .min(    Joi.ref('partSize', { adjust: v => v + 1 }))
+        .default(Joi.ref('partSize', { adjust: v => v * 2 })),
+    maxBytesPerSecond: bytesPerSecondSchema.default(Infinity),
+    maxPartSize: Joi.number().integer()
+        .min(Joi.ref('partSize'))
+        .max(5000000000) // 5GB
+        .default(5000000000),
+    memoryBudget: Joi.number().integer().min(0),
+    onEvent: Joi.function(),
+    onProgress: Joi.function(),
+    partSize: Joi.number().integer().required()
+        .min(   5000000)  // 5MB
+        .max(5000000000), // 5GB
+    resume: Joi.boolean().default(false),
+    retry: retryPolicy.schema,
+    serverSideEncryption: sse.schema,
+    skipIfIdentical: Joi.boolean().default(false),
+    spillDirectory: Joi.string(),
+    signal: abort.signalSchema,
+    timeouts: requestTimeouts.schema,
+});
+
+// Define the schema for our copy options object.
+const copyOptionsSchema = Joi.object().required().keys({
+    concurrency: Joi.number().integer().min(1).default(1),
+    contentType: Joi.string().when('metadataDirective', {
+        is: 'REPLACE',
+        then: Joi.optional().default('b2/x-auto'),
+        otherwise: Joi.forbidden(),
+    }),
+    destinationBucketId: Joi.string(),
+    fileInfo: fileInfo.schema.when('metadataDirective', {
+        is: 'REPLACE',
+        then: Joi.optional().default({}),
+        otherwise: Joi.forbidden(),
+    }),
     fileName: Joi.string().required(),
+    keepUnfinished: Joi.boolean().default(false),
     largeFileThreshold: Joi.number().integer()
         .min(    Joi.ref('partSize', { adjust: v => v + 1 }))
         .default(Joi.ref('partSize', { adjust: v => v * 2 })),
+    maxPartSize: Joi.number().integer()
+        .min(Joi.ref('partSize'))
+        .max(5000000000) // 5GB
+        .default(5000000000),
+    metadataDirective: Joi.string().valid('COPY', 'REPLACE').default('COPY'),
     partSize: Joi.number().integer().required()
         .min(   5000000)  // 5MB
         .max(5000000000), // 5GB
+    retry: retryPolicy.schema,
+    signal: abort.signalSchema,
+    sourceFileId: Joi.string().required(),
 });
 
+// Reads a standard upload source in full, returning a promise for its
+// hex-encoded SHA-1 hash.
+function hashSource(o, si) {
+    return new Promise((resolve, reject) => {
+        const source = si.makeStream();
+
+        const removeAbortListener = abort.onAbort(o.signal, () => {
+            source.destroy(abort.abortError());
+        });
+
+        safePipe(source, hashStream('sha1'))
+            .on('error', err => {
+                removeAbortListener();
+                reject(err);
+            })
+            .on('hash', h => {
+                removeAbortListener();
+                resolve(h.toString('hex'));
+            })
+            .resume();
+    });
+}
+
+// Returns a promise for the hex-encoded SHA-1 hash of the whole source, or for
+// undefined if a large-file source can't hash itself.  The hash may be needed
+// both to compare the source with an existing file (see skipIfIdentical) and
+// to upload it, so it's only computed once.
+function sourceSha1(o, si) {
+    o.sourceSha1 = o.sourceSha1 || (
+        !si.next ? hashSource(o, si) :
+        si.hash ? si.hash() :
+        Promise.resolve(undefined)
+    );
+
+    return o.sourceSha1;
+}
+
 async function doStandardUpload(o, si) {
     trace(o.logDetail, 'Using standard upload');
 
-    // TODO: If input is a file, hashes it first. Should hash on-the-fly and
-    // append the hash.
+    // Unless the hash is appended to the body, the source must be read once
+    // to hash it before it is read again to upload it.
     const [ hash, size ] = await Promise.all([
-        new Promise((resolve, reject) => {
-            safePipe(si.makeStream(), hashStream('sha1'))
-                .on('error', reject)
-                .on('hash', h => resolve(h.toString('hex')))
-                .resume();
-        }),
-
+        o.hashAtEnd ? undefined : sourceSha1(o, si),
         si.size(),
     ]);
 
-    return getPriv(o.self).borrowBucketUploadToken(o.bucketId, async token => {
-        const data = si.makeStream();
+    o.size = size;
+    o.progress.setTotalBytes(size);
+    o.progress.setPhase('uploading');
+
+    const result = await getPriv(o.self).borrowBucketUploadToken(o.bucketId, async token => {
+        const source = si.makeStream();
+
+        // With hex_digits_at_end, B2 takes the hash from the last 40 bytes of
+        // the body.  It's computed again on every attempt, so B2 still
+        // verifies exactly the data that was sent.
+        const data = o.hashAtEnd ? safePipe(source, hashSuffixStream('sha1')) : source;
+
+        // Don't count the appended hash as progress.
+        const attempt = o.progress.attempt(size);
 
         try {
             return await httpsRequest(
@@ -197,58 +606,277 @@ async function doStandardUpload(o, si) {
                         authorization: token.authorizationToken,
                         'x-bz-file-name': o.fileName,
                         'content-type': o.contentType,
-                        'content-length': size,
-                        'x-bz-content-sha1': hash,
+                        'content-length': o.hashAtEnd ? size + 40 : size,
+                        'x-bz-content-sha1': o.hashAtEnd ? 'hex_digits_at_end' : hash,
+                        ...fileInfo.toHeaders(o.fileInfo),
+                        ...sse.uploadHeaders(o.serverSideEncryption),
                     },
-                    timeout: 15 * 1000,
+                    timeouts: o.timeouts,
+                    throttles: o.throttles,
+                    onProgress: attempt.sent,
+                    signal: o.signal,
                 },
                 data
             );
 
             trace(o.logDetail, 'Standard upload completed');
         } catch (err) {
+            attempt.failed();
             err.logDetail = o.logDetail;
             throw err;
         } finally {
+            source.destroy();
             data.destroy();
         }
+    }, { signal: o.signal, retry: o.retry, emit: o.emit, acquire: o.acquireRequest });
+
+    o.progress.setPhase('complete');
+
+    return result;
+}
+
+// Calls a B2 API function directly (see b2-api.js) with the account's token,
+// retrying like the upload's other requests.
+function callApi(o, name, params) {
+    return getPriv(o.self).borrowAccountToken(
+        token => b2Api(token, name, params, { signal: o.signal, timeouts: o.timeouts }),
+        { signal: o.signal, retry: o.retry, emit: o.emit }
+    );
+}
+
+// Finds the most recently started unfinished large file in the bucket with
+// exactly the requested file name.  Resolves to undefined if there isn't one.
+//
+// The B2 client doesn't implement b2_list_unfinished_large_files, so it's
+// called directly.
+async function findUnfinishedLargeFile(o) {
+    let found;
+    let startFileId;
+
+    do {
+        const r = await callApi(o, 'b2_list_unfinished_large_files', {
+            bucketId: o.bucketId,
+            namePrefix: o.fileName,
+            startFileId,
+        });
+
+        for (const file of r.files) {
+            // namePrefix also matches longer names, so compare exactly.
+            if (
+                file.fileName === o.fileName &&
+                (!found || file.uploadTimestamp > found.uploadTimestamp)
+            ) {
+                found = file;
+            }
+        }
+
+        startFileId = r.nextFileId;
+    } while (startFileId);
+
+    return found;
+}
+
+// Whether an unfinished large file was started with the metadata this upload
+// would start it with.  If not, it was started for other contents (or another
+// version of the source), and finishing it would record a large_file_sha1 or
+// src_last_modified_millis that doesn't describe the uploaded data.
+function matchesUnfinished(o, unfinished) {
+    const info = unfinished.fileInfo || {};
+    const keys = Object.keys(info);
+
+    return (
+        // B2 replaces b2/x-auto with the type it picks.
+        (o.contentType === 'b2/x-auto' || unfinished.contentType === o.contentType) &&
+        keys.length === Object.keys(o.fileInfo).length &&
+        keys.every(k => info[k] === o.fileInfo[k]) &&
+        sse.sameMode(o.serverSideEncryption, unfinished.serverSideEncryption)
+    );
+}
+
+// Returns a map of part number to part info object (as returned by
+// b2_list_parts) for all parts already uploaded to a large file.
+async function listUploadedParts(o, fileId) {
+    const parts = new Map();
+    let startPartNumber;
+
+    do {
+        const r = (
+            await o.self.listParts({ fileId, startPartNumber })
+        ).data;
+
+        for (const part of r.parts) {
+            parts.set(part.partNumber, part);
+        }
+
+        startPartNumber = r.nextPartNumber;
+    } while (startPartNumber);
+
+    return parts;
+}
+
+// Starts a new large file, returning its ID.  b2_start_large_file is called
+// directly, as the B2 client doesn't pass the file info or the encryption
+// settings on to B2.  (Without the file info, large_file_sha1 and
+// src_last_modified_millis would be silently dropped.)
+async function startLargeFile(o) {
+    const r = await callApi(o, 'b2_start_large_file', {
+        bucketId: o.bucketId,
+        fileName: o.fileName,
+        contentType: o.contentType,
+        fileInfo: o.fileInfo,
+        serverSideEncryption: sse.startLargeFileParam(o.serverSideEncryption),
     });
+
+    return r.fileId;
+}
+
+function releasePart(part) {
+    if (part.release) {
+        part.release();
+    }
+}
+
+// Determines the SHA-1 hash of the whole file for a large-file upload, either
+// as provided by the caller or computed in advance by the source.  Resolves to
+// undefined if it can't be known before the parts are uploaded.
+async function getLargeFileSha1(o, si, force) {
+    if (o.fileInfo.large_file_sha1) {
+        return o.fileInfo.large_file_sha1.toLowerCase();
+    }
+
+    if (typeof o.largeFileSha1 === 'string') {
+        return o.largeFileSha1;
+    }
+
+    // force hashes the source even if the hash won't be recorded.
+    if ((o.largeFileSha1 || force) && si.hash) {
+        trace(o.logDetail, 'Hashing large file');
+        return sourceSha1(o, si);
+    }
+
+    return undefined;
 }
 
 async function doLargeUpload(o, si) {
     trace(o.logDetail, 'Using large upload');
 
-    const fileId = (
-        await o.self.startLargeFile({
-            bucketId: o.bucketId,
-            fileName: o.fileName,
-            contentType: o.contentType,
-        })
-    ).data.fileId;
+    const largeFileSha1 = await getLargeFileSha1(o, si);
+
+    if (
+        largeFileSha1 &&
+        !o.fileInfo.large_file_sha1 &&
+        Object.keys(o.fileInfo).length < fileInfo.MAX_ENTRIES
+    ) {
+        o.fileInfo = { ...o.fileInfo, large_file_sha1: largeFileSha1 };
+        fileInfo.assertFits(o.fileName, o.fileInfo);
+    }
+
+    let fileId;
+    let uploadedParts = new Map();
+
+    if (o.resume) {
+        const unfinished = await findUnfinishedLargeFile(o);
+
+        if (unfinished && !matchesUnfinished(o, unfinished)) {
+            // It's left for sweepUnfinished() to cancel, as it may belong to
+            // another upload.
+            trace(
+                { ...o.logDetail, fileId: unfinished.fileId },
+                'Unfinished large file was started with other metadata; starting a new one'
+            );
+        } else if (unfinished) {
+            fileId = unfinished.fileId;
+            uploadedParts = await listUploadedParts(o, fileId);
+
+            trace(
+                { ...o.logDetail, fileId, uploadedParts: uploadedParts.size },
+                'Resuming unfinished large file'
+            );
+        }
+    }
+
+    abort.throwIfAborted(o.signal);
+
+    if (!fileId) {
+        fileId = await startLargeFile(o);
+    }
 
     o.logDetail.fileId = fileId;
 
+    // The total size is only known in advance for some sources.  For the
+    // others, it's determined once the last part has been produced.
+    o.progress.setTotalBytes(si.size ? await si.size() : undefined);
+    o.progress.setPhase('uploading');
+
     const borrow = getPriv(o.self).createLargeFileBorrowFn(fileId);
 
     try {
+        abort.throwIfAborted(o.signal);
+
         const partHashes = await new Promise((resolve, reject) => {
             // The number of "available workers" -- how many new concurrent
             // upload tasks we can start.
             let available = o.concurrency;
 
+            // Set once the upload has failed, so that no more workers start.
+            let failed = false;
+
             const hashes = [];
 
+            // The total size of all parts produced so far.
+            let producedBytes = 0;
+
+            // Parts must be requested one at a time.  Otherwise a worker could
+            // see the end of the parts while another worker is still waiting
+            // for the last part, and the hashes could be pushed out of order.
+            const nextPart = syncPromise(() => si.next());
+
             function fail(err) {
+                failed = true;
+                removeAbortListener();
                 si.destroy();
                 reject(err);
             }
 
+            // Aborting destroys the source and the in-flight part requests
+            // (they are passed the same signal).
+            const removeAbortListener = abort.onAbort(o.signal, () => {
+                fail(abort.abortError());
+            });
+
             function doPart(part) {
                 const detail = { ...o.logDetail, partNumber: part.number };
 
                 trace(detail, 'Beginning part');
 
+                // When resuming, a part already on the server with the same
+                // contents doesn't need to be sent again.  A part with
+                // different contents is simply uploaded again; B2 replaces
+                // the old part.
+                const uploaded = uploadedParts.get(part.number);
+
+                if (uploaded && uploaded.contentSha1 === part.hash) {
+                    trace(detail, 'Part already uploaded; skipping');
+
+                    o.progress.partSkipped(part.size);
+                    releasePart(part);
+
+                    return Promise.resolve(part.hash);
+                }
+
+                o.progress.partStarted();
+                o.emit('part.started', { partNumber: part.number, size: part.size });
+
+                let attempts = 0;
+                let attemptStarted;
+
                 return borrow(async token => {
+                    const attempt = o.progress.attempt();
+
+                    if (attempts++) {
+                        o.progress.partRetried();
+                    }
+
                     try {
                         trace(detail, 'Obtaining part data');
 
@@ -257,6 +885,8 @@ async function doLargeUpload(o, si) {
                         try {
                             trace(detail, 'Attempting part upload');
 
+                            attemptStarted = Date.now();
+
                             await httpsRequest(
                                 token.uploadUrl,
                                 {
@@ -266,8 +896,12 @@ async function doLargeUpload(o, si) {
                                         'x-bz-part-number': part.number,
                                         'content-length': data.byteLength || data.length,
                                         'x-bz-content-sha1': part.hash,
+                                        ...sse.partHeaders(o.serverSideEncryption),
                                     },
-                                    timeout: 15 * 1000,
+                                    timeouts: o.timeouts,
+                                    throttles: o.throttles,
+                                    onProgress: attempt.sent,
+                                    signal: o.signal,
                                 },
                                 data
                             );
@@ -276,6 +910,7 @@ async function doLargeUpload(o, si) {
                             throw err;
                         }
                     } catch (err) {
+                        attempt.failed();
                         err.logDetail = detail;
                         throw err;
                     }
@@ -283,22 +918,43 @@ async function doLargeUpload(o, si) {
                     trace(detail, 'Finished part');
 
                     return part.hash;
-                })
+                }, { signal: o.signal, retry: o.retry, emit: o.emit, acquire: o.acquireRequest })
+                .then(
+                    hash => {
+                        o.progress.partFinished(true);
+                        o.emit('part.finished', {
+                            partNumber: part.number,
+                            size: part.size,
+                            duration: Date.now() - attemptStarted,
+                            attempts,
+                        });
+
+                        releasePart(part);
+
+                        return hash;
+                    },
+                    err => {
+                        o.progress.partFinished(false);
+                        throw err;
+                    }
+                )
                 .catch(fail);
             }
 
             // I'm sure there's a better way to do this...
             async function startWorker() {
-                if (available > 0) {
+                if (available > 0 && !failed) {
                     available -= 1;
 
                     // Ask for the next part. Note that we don't start another
                     // worker until we actually have a part; if there are no
                     // more parts, this simplifies the termination logic.
                     try {
-                        const part = await si.next();
+                        const part = await nextPart();
 
                         if (part) {
+                            producedBytes += part.size;
+
                             // doPart() returns a promise for the SHA1 hash of
                             // the part. Add it to the hashes array.
                             hashes.push(
@@ -331,6 +987,12 @@ async function doLargeUpload(o, si) {
                             // more workers will start.
                             available = NaN;
 
+                            if (!si.size) {
+                                o.progress.setTotalBytes(producedBytes);
+                            }
+
+                            o.size = producedBytes;
+
                             // Resolve our promise as the array of hashes we
                             // need to complete the upload.  Note that we don't
                             // call resolve() right now because it's still
@@ -338,7 +1000,13 @@ async function doLargeUpload(o, si) {
                             // resolve() is called, reject() is a no-op which
                             // could cause errors to not only be ignored, but
                             // prevent the outer promise from being settled.
-                            Promise.all(hashes).then(resolve, fail);
+                            Promise.all(hashes).then(
+                                v => {
+                                    removeAbortListener();
+                                    resolve(v);
+                                },
+                                fail
+                            );
                         }
                     } catch (err) {
                         fail(err);
@@ -350,21 +1018,234 @@ async function doLargeUpload(o, si) {
             startWorker();
         });
 
+        // The data that was actually uploaded must match the hash recorded
+        // when the large file was started.
+        if (largeFileSha1 && si.contentHash) {
+            const contentHash = await si.contentHash();
+
+            if (contentHash !== largeFileSha1) {
+                throw new Error(
+                    `SHA-1 of the uploaded data (${contentHash}) does not ` +
+                    `match large_file_sha1 (${largeFileSha1})`
+                );
+            }
+        }
+
         trace(o.logDetail, 'Finishing large file');
+        o.progress.setPhase('finishing');
 
-        // "return await" so we can catch any errors.
-        return await o.self.finishLargeFile({
-            fileId,
-            partSha1Array: partHashes,
-        });
+        // "await" so we can catch any errors.
+        const result = (
+            await o.self.finishLargeFile({
+                fileId,
+                partSha1Array: partHashes,
+            })
+        ).data;
 
         trace(o.logDetail, 'Large upload complete');
+        o.progress.setPhase('complete');
+
+        si.destroy();
+
+        return result;
     } catch (err) {
-        trace({ ...o.logDetail, err }, 'Large upload failed; canceling large file');
+        si.destroy();
+
+        return abandonLargeFile(o, fileId, err);
+    } finally {
+        borrow.close();
+    }
+}
+
+// Handles the failure of a large-file upload or copy by canceling the
+// unfinished large file, unless the caller asked to keep it.  Rejects with the
+// error.
+async function abandonLargeFile(o, fileId, err) {
+    if (o.keepUnfinished) {
+        trace({ ...o.logDetail, err }, 'Large file failed; keeping unfinished large file');
 
-        await o.self.cancelLargeFile({ fileId });
+        // Let the caller know which file can be resumed.
+        err.fileId = fileId;
         throw err;
     }
+
+    trace({ ...o.logDetail, err }, 'Large file failed; canceling large file');
+
+    if (!await cancelLargeFile(o, fileId)) {
+        // The unfinished file can still be removed later; see
+        // sweep-unfinished.js.
+        err.fileId = fileId;
+    }
+
+    throw err;
+}
+
+// Cancels an unfinished large file after a failure, retrying like an API
+// call.  A failure to cancel is logged rather than thrown, so that it doesn't
+// mask the error that caused it.  Resolves to whether the file was canceled.
+async function cancelLargeFile(o, fileId) {
+    try {
+        // Not canceled by the upload's signal, which may be why we're here.
+        await getPriv(o.self).borrowAccountToken(
+            () => o.self.cancelLargeFile({ fileId }),
+            { retry: o.retry, emit: o.emit }
+        );
+
+        return true;
+    } catch (err) {
+        trace({ ...o.logDetail, fileId, err }, 'Failed to cancel unfinished large file');
+        return false;
+    }
+}
+
+async function doStandardCopy(o) {
+    trace(o.logDetail, 'Using standard copy');
+
+    const result = await callApi(o, 'b2_copy_file', {
+        sourceFileId: o.sourceFileId,
+        fileName: o.fileName,
+        destinationBucketId: o.destinationBucketId,
+        metadataDirective: o.metadataDirective,
+        contentType: o.contentType,
+        fileInfo: o.fileInfo,
+    });
+
+    trace(o.logDetail, 'Standard copy complete');
+
+    return result;
+}
+
+async function doLargeCopy(o, source) {
+    trace(o.logDetail, 'Using large copy');
+
+    const partSize = partSizes.forSize(o, source.contentLength);
+
+    // A large file gets its metadata when it is started, so B2 can't copy it
+    // from the source for us.
+    if (o.metadataDirective === 'COPY') {
+        o.contentType = source.contentType;
+        o.fileInfo = source.fileInfo || {};
+    }
+
+    // The copy has the same contents, so the source's hash applies to it.
+    const sha1 = fileInfo.storedSha1(source);
+
+    if (
+        sha1 &&
+        !o.fileInfo.large_file_sha1 &&
+        Object.keys(o.fileInfo).length < fileInfo.MAX_ENTRIES
+    ) {
+        o.fileInfo = { ...o.fileInfo, large_file_sha1: sha1 };
+    }
+
+    fileInfo.assertFits(o.fileName, o.fileInfo);
+
+    abort.throwIfAborted(o.signal);
+
+    const fileId = await startLargeFile(o);
+
+    o.logDetail.fileId = fileId;
+
+    const parts = [];
+
+    for (let start = 0; start < source.contentLength; start += partSize) {
+        parts.push({
+            number: parts.length + 1,
+            range: `bytes=${start}-${Math.min(start + partSize, source.contentLength) - 1}`,
+        });
+    }
+
+    try {
+        const partHashes = await pUtils.mapConcurrent(parts, o.concurrency, async part => {
+            const detail = { ...o.logDetail, partNumber: part.number };
+
+            trace(detail, 'Copying part');
+
+            const r = await o.borrow(async token => {
+                try {
+                    return await b2Api(
+                        token,
+                        'b2_copy_part',
+                        {
+                            sourceFileId: o.sourceFileId,
+                            largeFileId: fileId,
+                            partNumber: part.number,
+                            range: part.range,
+                        },
+                        { signal: o.signal, timeouts: o.timeouts }
+                    );
+                } catch (err) {
+                    err.logDetail = detail;
+                    throw err;
+                }
+            });
+
+            trace(detail, 'Finished part');
+
+            return r.contentSha1;
+        });
+
+        abort.throwIfAborted(o.signal);
+
+        trace(o.logDetail, 'Finishing large file');
+
+        const result = (
+            await o.self.finishLargeFile({
+                fileId,
+                partSha1Array: partHashes,
+            })
+        ).data;
+
+        trace(o.logDetail, 'Large copy complete');
+
+        return result;
+    } catch (err) {
+        return abandonLargeFile(o, fileId, err);
+    }
+}
+
+// Finds the latest version of the file.  Resolves to undefined if there is
+// none, or if it's hidden.
+async function findLatestVersion(o) {
+    const r = (
+        await getPriv(o.self).borrowAccountToken(
+            () => o.self.listFileNames({
+                bucketId: o.bucketId,
+                prefix: o.fileName,
+                startFileName: o.fileName,
+                maxFileCount: 1,
+                delimiter: '',
+            }),
+            { signal: o.signal, retry: o.retry, emit: o.emit }
+        )
+    ).data;
+
+    const file = r.files[0];
+
+    return file && file.fileName === o.fileName && file.action === 'upload' ? file : undefined;
+}
+
+// Resolves to the latest version of the file if it has the same size and
+// SHA-1 hash as the source, otherwise to undefined.  The source is only hashed
+// if the sizes match, and sources whose size or hash can't be known in advance
+// (such as large streams) never match.
+async function findIdentical(o, si) {
+    const size = si.size ? await si.size() : undefined;
+
+    if (size === undefined) {
+        return undefined;
+    }
+
+    const existing = await findLatestVersion(o);
+    const existingSha1 = existing && existing.contentLength === size && fileInfo.storedSha1(existing);
+
+    if (!existingSha1) {
+        return undefined;
+    }
+
+    const sha1 = await (si.next ? getLargeFileSha1(o, si, true) : sourceSha1(o, si));
+
+    return sha1 === existingSha1 ? existing : undefined;
 }
 
 async function upload(options) {
@@ -377,11 +1258,266 @@ async function upload(options) {
         bucketId: o.bucketId,
     };
 
+    o.progress = createProgress(o.onProgress, o.logDetail);
+    o.governor = getPriv(this).governor;
+
+    // Each upload request takes a slot of the client's request limit.
+    o.acquireRequest = () => o.governor.requests.acquire(o, 1, o.signal);
+
+    // Request bodies are limited by both the upload's and the client's
+    // bandwidth limits.
+    o.throttles = [ createThrottle(o.maxBytesPerSecond), o.governor.bandwidth ];
+    o.timeouts = requestTimeouts.resolve(getPriv(this).timeouts, o.timeouts);
+    o.emit = createEmit(getPriv(this).events, o.logDetail, o.onEvent);
+
     trace(o.logDetail, 'Beginning upload');
 
-    const si = await sourceInterface(o);
+    abort.throwIfAborted(o.signal);
+
+    const endOperation = getPriv(this).beginOperation();
+
+    const started = Date.now();
+    let large = false;
+
+    o.emit('upload.started');
+
+    // Destroy a source stream when aborted, which fails whatever is reading
+    // it.  (The upload functions also watch the signal themselves.)
+    const removeAbortListener = abort.onAbort(o.signal, () => {
+        if (typeof o.data.pipe === 'function' && typeof o.data.destroy === 'function') {
+            o.data.destroy(abort.abortError());
+        }
+    });
+
+    try {
+        const si = await sourceInterface(o);
+
+        // Record the modification time of the source, if it has one and the
+        // caller didn't provide a value.  (This is the convention B2's own
+        // tools use.)
+        if (
+            si.lastModified &&
+            o.fileInfo.src_last_modified_millis === undefined &&
+            Object.keys(o.fileInfo).length < fileInfo.MAX_ENTRIES
+        ) {
+            o.fileInfo = {
+                ...o.fileInfo,
+                src_last_modified_millis: String(await si.lastModified()),
+            };
+        }
+
+        fileInfo.assertFits(o.fileName, o.fileInfo);
+
+        large = !!si.next;
+
+        const identical = o.skipIfIdentical && await findIdentical(o, si);
+
+        if (identical) {
+            trace({ ...o.logDetail, fileId: identical.fileId }, 'Identical file exists; skipping upload');
+
+            if (si.destroy) {
+                si.destroy();
+            }
+
+            o.progress.setPhase('complete');
+            o.emit('upload.skipped', { duration: Date.now() - started, fileId: identical.fileId });
+
+            return identical;
+        }
+
+        const result = await (large ? doLargeUpload(o, si) : doStandardUpload(o, si));
+
+        o.emit('upload.finished', { size: o.size, duration: Date.now() - started, large });
+
+        return result;
+    } catch (err) {
+        o.emit(
+            abort.isAbortError(err) ? 'upload.canceled' : 'upload.failed',
+            { duration: Date.now() - started, err }
+        );
+
+        throw err;
+    } finally {
+        removeAbortListener();
+        endOperation();
+    }
+}
+
+// Copies a file within B2, without downloading it.
+async function copy(options) {
+    const o = Joi.attempt(options, copyOptionsSchema);
+
+    o.self = this;
+    o.logDetail = {
+        correlationId: uuidv4(),
+        sourceFileId: o.sourceFileId,
+        fileName: o.fileName,
+        bucketId: o.destinationBucketId,
+    };
+
+    o.emit = createEmit(getPriv(this).events, o.logDetail);
+
+    // API calls are retried the same way as upload requests.
+    o.borrow = workerFn => getPriv(this).borrowAccountToken(workerFn, { signal: o.signal, retry: o.retry, emit: o.emit });
+
+    // For the calls made directly; see callApi().
+    o.timeouts = requestTimeouts.resolve(getPriv(this).timeouts);
 
-    return si.next ? doLargeUpload(o, si) : doStandardUpload(o, si);
+    trace(o.logDetail, 'Beginning copy');
+
+    abort.throwIfAborted(o.signal);
+
+    if (o.metadataDirective === 'REPLACE') {
+        fileInfo.assertFits(o.fileName, o.fileInfo);
+    }
+
+    const endOperation = getPriv(this).beginOperation();
+
+    try {
+        const source = (await o.borrow(() => this.getFileInfo({ fileId: o.sourceFileId }))).data;
+
+        // The copy goes to the source's bucket unless told otherwise.
+        o.bucketId = o.destinationBucketId || source.bucketId;
+
+        return await (
+            source.contentLength >= o.largeFileThreshold ?
+                doLargeCopy(o, source) :
+                doStandardCopy(o)
+        );
+    } finally {
+        endOperation();
+    }
+}
+
+// Invokes upload() with the client's recommended part size as the default, as
+// observed by the authorize() wrapper that install() sets up.
+function uploadWithDefaults(options) {
+    return upload.call(this, {
+        partSize: getPriv(this).partSize,
+        ...options
+    });
+}
+
+// Invokes copy() with the client's recommended part size as the default.
+function copyWithDefaults(options) {
+    return copy.call(this, {
+        partSize: getPriv(this).partSize,
+        ...options
+    });
+}
+
+upload.uploadDirectory = require('./upload-directory')(uploadWithDefaults, getPriv);
+
+upload.createUploadQueue = require('./upload-queue')(uploadWithDefaults);
+
+upload.uploadMany = require('./upload-many')(upload.createUploadQueue);
+
+upload.copyAny = copyWithDefaults;
+
+upload.downloadAny = require('./download-any')(getPriv);
+
+upload.sweepUnfinished = require('./sweep-unfinished')(getPriv);
+
+// Registers a custom source type; see source-interface/index.js.
+upload.registerSource = sourceInterface.register;
+
+// Checks that a source object conforms to the source interfaces; see
+// source-interface/validate.js.
+upload.validateSource = sourceInterface.validate;
+
+// Returns the EventEmitter on which the lifecycle events of a B2 client are
+// emitted; see events.js.
+upload.events = b2 => getPriv(b2).events;
+
+// Returns the metrics of a B2 client; see metrics.js.
+upload.metrics = b2 => getPriv(b2).metrics;
+
+const prefetchOptionsSchema = Joi.object().required().keys({
+    bucketId: Joi.string().required(),
+    count: Joi.number().integer().min(1).required(),
+    retry: retryPolicy.schema,
+    signal: abort.signalSchema,
+});
+
+// Fills a bucket's pool of upload tokens ahead of a burst of uploads.
+// Resolves to the number of idle tokens in the pool.
+upload.prefetchUploadTokens = async function prefetchUploadTokens(b2, options) {
+    const o = Joi.attempt(options, prefetchOptionsSchema);
+    const priv = getPriv(b2);
+
+    const endOperation = priv.beginOperation();
+
+    try {
+        return await priv.prefetchBucketUploadTokens(o.bucketId, o.count, { signal: o.signal, retry: o.retry });
+    } finally {
+        endOperation();
+    }
+};
+
+// Returns the number of idle and in-use tokens of each token pool of a B2
+// client, discarding expired tokens first.
+upload.tokenPoolStats = b2 => getPriv(b2).tokenPoolStats();
+
+// Closes a B2 client: new uploads, copies and downloads are refused, and once
+// those in progress have ended, all idle tokens are discarded.
+upload.close = b2 => getPriv(b2).close();
+
+// Sets limits shared by all uploads made with a B2 client.  May be called at
+// any time; uploads already in progress observe the new limits.
+upload.configure = function configure(b2, options) {
+    const priv = getPriv(b2);
+    const { governor } = priv;
+
+    const o = Joi.attempt(options, clientOptionsSchema);
+
+    if (o.maxConcurrentRequests !== undefined) {
+        governor.requests.setCapacity(o.maxConcurrentRequests);
+    }
+
+    if (o.maxBufferBytes !== undefined) {
+        governor.buffers.setCapacity(o.maxBufferBytes);
+    }
+
+    if (o.maxBytesPerSecond !== undefined) {
+        governor.bandwidth.setRate(o.maxBytesPerSecond);
+    }
+
+    if (o.retry !== undefined) {
+        priv.retry = o.retry;
+    }
+
+    if (o.timeouts !== undefined) {
+        priv.timeouts = o.timeouts;
+    }
+
+    if (o.tokenPool !== undefined) {
+        priv.tokenPool = o.tokenPool;
+    }
+
+    if (o.authorizeUrl !== undefined) {
+        priv.authorizeUrl = o.authorizeUrl;
+    }
+};
+
+// Authorizes a client with b2_authorize_account at the given URL instead of
+// B2's (for example, a fake server; see fake-b2-server.js).  Sets the same
+// attributes of the client as its own authorize() function.
+async function authorizeAt(b2, url) {
+    const credentials = Buffer.from(`${b2.applicationKeyId || b2.accountId}:${b2.applicationKey}`)
+        .toString('base64');
+
+    const data = await httpsRequest(url, {
+        method: 'GET',
+        headers: { authorization: `Basic ${credentials}` },
+        timeouts: getPriv(b2).timeouts,
+    });
+
+    b2.accountId = data.accountId;
+    b2.authorizationToken = data.authorizationToken;
+    b2.apiUrl = data.apiUrl;
+    b2.downloadUrl = data.downloadUrl;
+
+    return { data };
 }
 
 upload.install = function install(B2) {
@@ -389,19 +1525,22 @@ upload.install = function install(B2) {
         const _authorize = B2.prototype.authorize;
 
         B2.prototype.authorize = function authorize() {
-            return _authorize.apply(this, arguments)
+            const { authorizeUrl } = getPriv(this);
+
+            return (authorizeUrl ? authorizeAt(this, authorizeUrl) : _authorize.apply(this, arguments))
             .then(r => {
                 getPriv(this).partSize = r && r.data && r.data.recommendedPartSize || undefined;
                 return r;
             });
         };
 
-        B2.prototype.uploadAny = function (options) {
-            return upload.call(this, {
-                partSize: getPriv(this).partSize,
-                ...options
-            });
-        };
+        B2.prototype.uploadAny = uploadWithDefaults;
+        B2.prototype.uploadDirectory = upload.uploadDirectory;
+        B2.prototype.uploadMany = upload.uploadMany;
+        B2.prototype.createUploadQueue = upload.createUploadQueue;
+        B2.prototype.downloadAny = upload.downloadAny;
+        B2.prototype.copyAny = upload.copyAny;
+        B2.prototype.sweepUnfinished = upload.sweepUnfinished;
     }
 
     return B2;
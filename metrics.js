@@ -0,0 +1,213 @@
+// Counters and histograms of a B2 client, fed by its lifecycle events (see
+// events.js).  They can be read as an object with snapshot(), or exported in
+// the Prometheus text format with toPrometheus().
+
+const PREFIX = 'b2_upload_any_';
+
+const DURATION_BUCKETS = [ 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600 ];
+const THROUGHPUT_BUCKETS = [ 1e5, 1e6, 5e6, 1e7, 2.5e7, 5e7, 1e8, 2.5e8 ];
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+
+    if (!entries.length) {
+        return '';
+    }
+
+    const escape = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+    return `{${entries.map(([ k, v ]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+function formatNumber(n) {
+    return n === Infinity ? '+Inf' : n === -Infinity ? '-Inf' : String(n);
+}
+
+// A counter, optionally with one label.
+function counter(name, help, label) {
+    const values = new Map();
+
+    return {
+        name,
+
+        inc(labelValue, n = 1) {
+            values.set(labelValue, (values.get(labelValue) || 0) + n);
+        },
+
+        snapshot() {
+            return label ? Object.fromEntries(values) : values.get(undefined) || 0;
+        },
+
+        lines() {
+            const samples = label ?
+                [ ...values ].map(([ v, n ]) => `${PREFIX}${name}${formatLabels({ [label]: v })} ${formatNumber(n)}`) :
+                [ `${PREFIX}${name} ${formatNumber(values.get(undefined) || 0)}` ];
+
+            return [ `# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} counter`, ...samples ];
+        },
+    };
+}
+
+// A gauge whose value is read from a function.
+function gauge(name, help, read) {
+    return {
+        name,
+
+        snapshot: read,
+
+        lines() {
+            return [
+                `# HELP ${PREFIX}${name} ${help}`,
+                `# TYPE ${PREFIX}${name} gauge`,
+                `${PREFIX}${name} ${formatNumber(read())}`,
+            ];
+        },
+    };
+}
+
+function histogram(name, help, buckets) {
+    const counts = buckets.map(() => 0);
+    let sum = 0;
+    let count = 0;
+
+    return {
+        name,
+
+        observe(v) {
+            buckets.forEach((le, i) => {
+                if (v <= le) {
+                    counts[i] += 1;
+                }
+            });
+
+            sum += v;
+            count += 1;
+        },
+
+        snapshot() {
+            return {
+                buckets: buckets.map((le, i) => ({ le, count: counts[i] })),
+                sum,
+                count,
+            };
+        },
+
+        // Bucket counts are already cumulative, as each observation is
+        // counted in every bucket it fits in.
+        lines() {
+            return [
+                `# HELP ${PREFIX}${name} ${help}`,
+                `# TYPE ${PREFIX}${name} histogram`,
+                ...buckets.map((le, i) => `${PREFIX}${name}_bucket${formatLabels({ le: formatNumber(le) })} ${counts[i]}`),
+                `${PREFIX}${name}_bucket{le="+Inf"} ${count}`,
+                `${PREFIX}${name}_sum ${formatNumber(sum)}`,
+                `${PREFIX}${name}_count ${count}`,
+            ];
+        },
+    };
+}
+
+// Returns the metrics of a client.  events is the client's EventEmitter.
+// gauges holds functions reading values that aren't derived from events:
+//
+// * tokenPoolSize: The number of idle upload and account tokens.
+module.exports = (events, gauges) => {
+    let inProgress = 0;
+
+    const m = {
+        uploads: counter('uploads_total', 'Uploads that ended, by outcome.', 'outcome'),
+        uploadsInProgress: gauge('uploads_in_progress', 'Uploads in progress.', () => inProgress),
+        uploadDuration: histogram('upload_duration_seconds', 'Duration of successful uploads.', DURATION_BUCKETS),
+        uploadThroughput: histogram('upload_throughput_bytes_per_second', 'Average throughput of successful uploads.', THROUGHPUT_BUCKETS),
+        bytesSent: counter('bytes_sent_total', 'Bytes of successful standard uploads and parts.'),
+        parts: counter('parts_total', 'Parts uploaded successfully.'),
+        partDuration: histogram('part_duration_seconds', 'Duration of successful part uploads.', DURATION_BUCKETS),
+        retries: counter('retries_total', 'Retried requests, by reason (response status or error code).', 'reason'),
+        reauthorizations: counter('reauthorizations_total', 'Requests that failed because the authorization expired.'),
+        tokens: counter('tokens_total', 'Token pool operations, by event (acquired, reused or discarded).', 'event'),
+        tokenPoolSize: gauge('token_pool_size', 'Idle tokens in the token pools.', gauges.tokenPoolSize),
+    };
+
+    const handlers = {
+        'upload.started'() {
+            inProgress += 1;
+        },
+
+        'upload.finished'(e) {
+            inProgress -= 1;
+            m.uploads.inc('finished');
+            m.uploadDuration.observe(e.duration / 1000);
+
+            if (e.duration > 0) {
+                m.uploadThroughput.observe(e.size / (e.duration / 1000));
+            }
+
+            // The parts of large files are already counted.
+            if (!e.large) {
+                m.bytesSent.inc(undefined, e.size);
+            }
+        },
+
+        'upload.canceled'() {
+            inProgress -= 1;
+            m.uploads.inc('canceled');
+        },
+
+        'upload.failed'() {
+            inProgress -= 1;
+            m.uploads.inc('failed');
+        },
+
+        'upload.skipped'() {
+            inProgress -= 1;
+            m.uploads.inc('skipped');
+        },
+
+        'part.finished'(e) {
+            m.parts.inc();
+            m.partDuration.observe(e.duration / 1000);
+            m.bytesSent.inc(undefined, e.size);
+        },
+
+        'retry'(e) {
+            m.retries.inc(e.reason);
+        },
+
+        'reauthorize'() {
+            m.reauthorizations.inc();
+        },
+
+        'token.acquired'() {
+            m.tokens.inc('acquired');
+        },
+
+        'token.reused'() {
+            m.tokens.inc('reused');
+        },
+
+        'token.discarded'() {
+            m.tokens.inc('discarded');
+        },
+    };
+
+    events.on('event', e => {
+        if (handlers[e.type]) {
+            handlers[e.type](e);
+        }
+    });
+
+    return {
+        // Returns an object with the current value of each metric.  Labeled
+        // counters are objects mapping label values to counts; histograms are
+        // objects with buckets (an array of objects with an upper bound, le,
+        // and the cumulative count of observations up to it), sum and count.
+        snapshot() {
+            return Object.fromEntries(Object.entries(m).map(([ k, metric ]) => [ k, metric.snapshot() ]));
+        },
+
+        // Returns the metrics in the Prometheus text exposition format.
+        toPrometheus() {
+            return Object.values(m).map(metric => metric.lines().join('\n')).join('\n') + '\n';
+        },
+    };
+};
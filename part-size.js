@@ -0,0 +1,52 @@
+// Part sizes of large files.  B2 accepts parts of 5MB to 5GB (only the last
+// part may be smaller) and at most 10,000 parts per file, so the requested
+// part size is only a starting point:
+//
+// * When the size of the source is known, the part size is raised as far as
+//   needed for the source to fit in 10,000 parts.
+//
+// * When it isn't (streams), the part size doubles every GROWTH_INTERVAL
+//   parts.
+//
+// Either way, the part size never exceeds the maxPartSize upload option.
+
+const MIN_PART_SIZE = 5000000; // 5MB
+const MAX_PART_SIZE = 5000000000; // 5GB
+const MAX_PARTS = 10000;
+
+const GROWTH_INTERVAL = 1000;
+
+function tooManyParts(o) {
+    return Object.assign(
+        new Error(`${o.fileName} does not fit in ${MAX_PARTS} parts of at most ${o.maxPartSize} bytes`),
+        { code: 'ERR_TOO_MANY_PARTS' }
+    );
+}
+
+// Returns the part size to use for a source of the given size.  Throws if the
+// source doesn't fit even in parts of the maximum size.
+function forSize(o, size) {
+    const partSize = Math.max(o.partSize, Math.ceil(size / MAX_PARTS));
+
+    if (partSize > o.maxPartSize) {
+        throw tooManyParts(o);
+    }
+
+    return partSize;
+}
+
+// Returns the size of the given (1-based) part of a source of unknown size.
+function forPart(o, number) {
+    const doublings = Math.floor((number - 1) / GROWTH_INTERVAL);
+
+    return Math.min(o.partSize * 2 ** doublings, o.maxPartSize);
+}
+
+module.exports = {
+    MIN_PART_SIZE,
+    MAX_PART_SIZE,
+    MAX_PARTS,
+    forSize,
+    forPart,
+    tooManyParts,
+};
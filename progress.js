@@ -0,0 +1,99 @@
+const { trace } = require('./log');
+
+// Tracks the progress of a single upload and reports a snapshot of it to the
+// optional callback every time it changes.
+//
+// Byte counts come from the HTTPS client as request bodies are sent.  Each
+// request is an "attempt"; when an attempt fails, the bytes it sent are
+// subtracted again so that retried data is not counted twice.
+module.exports = (callback, logDetail) => {
+    const state = {
+        phase: 'hashing',
+        bytesSent: 0,
+        totalBytes: undefined,
+        partsCompleted: 0,
+        partsInFlight: 0,
+        partsRetried: 0,
+    };
+
+    function report() {
+        if (!callback) {
+            return;
+        }
+
+        try {
+            callback({ ...state });
+        } catch (err) {
+            // A broken progress callback shouldn't break the upload.
+            trace({ ...logDetail, err }, 'Progress callback threw');
+        }
+    }
+
+    return {
+        setPhase(phase) {
+            state.phase = phase;
+            report();
+        },
+
+        setTotalBytes(totalBytes) {
+            state.totalBytes = totalBytes;
+            report();
+        },
+
+        // Returns an object used to account for a single request body.  Pass
+        // its sent function as the onProgress option to the HTTPS client, and
+        // call failed() if the request does not succeed.  If limit is given,
+        // body bytes beyond it are not counted.
+        attempt(limit = Infinity) {
+            let sent = 0;
+
+            return {
+                sent(bytes) {
+                    bytes = Math.min(bytes, limit - sent);
+
+                    if (bytes <= 0) {
+                        return;
+                    }
+
+                    sent += bytes;
+                    state.bytesSent += bytes;
+                    report();
+                },
+
+                failed() {
+                    state.bytesSent -= sent;
+                    sent = 0;
+                    report();
+                },
+            };
+        },
+
+        partStarted() {
+            state.partsInFlight += 1;
+            report();
+        },
+
+        partRetried() {
+            state.partsRetried += 1;
+            report();
+        },
+
+        partFinished(success) {
+            state.partsInFlight -= 1;
+
+            if (success) {
+                state.partsCompleted += 1;
+            }
+
+            report();
+        },
+
+        // Accounts for a part that was already uploaded by a prior attempt at
+        // this upload (see the resume option).
+        partSkipped(bytes) {
+            state.bytesSent += bytes;
+            state.partsCompleted += 1;
+            report();
+        },
+    };
+};
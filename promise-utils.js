@@ -15,8 +15,42 @@ function delay(ms) {
     return new Promise(resolve => { setTimeout(resolve, ms); });
 }
 
+// Invokes fn for each item with at most the given number of invocations
+// outstanding at once.  Returns a promise for an array of the results, in the
+// order of the items.  Rejects as soon as any invocation rejects; no further
+// invocations are started after that.
+async function mapConcurrent(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    async function worker() {
+        while (!failed && next < items.length) {
+            const i = next++;
+
+            try {
+                results[i] = await fn(items[i], i);
+            } catch (err) {
+                failed = true;
+                throw err;
+            }
+        }
+    }
+
+    const workers = [];
+
+    for (let i = 0; i < Math.min(concurrency, items.length); i += 1) {
+        workers.push(worker());
+    }
+
+    await Promise.all(workers);
+
+    return results;
+}
+
 module.exports = {
     fromCallback,
     promisify,
     delay,
+    mapConcurrent,
 };
@@ -0,0 +1,133 @@
+const Joi = require('@hapi/joi');
+
+// Retry policies control how often and for how long the borrow functions
+// retry failed requests.  A policy can be set for a B2 client (see
+// configure()) and for a single call; attributes that aren't set fall back to
+// the client's policy and then to the defaults.
+const schema = Joi.object().keys({
+    attempts: Joi.number().integer().min(1),
+    classify: Joi.function(),
+    deadline: Joi.number().min(0).allow(Infinity),
+    factor: Joi.number().min(1),
+    jitter: Joi.boolean(),
+    maxDelay: Joi.number().min(0),
+    minDelay: Joi.number().min(0),
+});
+
+const defaults = {
+    attempts: 10,
+    factor: 2,
+    minDelay: 1000,
+    maxDelay: 30 * 1000,
+    jitter: false,
+    deadline: Infinity,
+};
+
+// Combines policies, later ones taking precedence.  Undefined policies are
+// skipped.
+function resolve(...policies) {
+    return Object.assign({}, defaults, ...policies.filter(p => p));
+}
+
+// Returns the delay in milliseconds before the nth retry (1 for the first)
+// under the policy.
+function backoff(policy, n) {
+    const random = policy.jitter ? Math.random() + 1 : 1;
+
+    return Math.min(
+        Math.round(random * policy.minDelay * Math.pow(policy.factor, n - 1)),
+        policy.maxDelay
+    );
+}
+
+// Describes why a request failed, for events and metrics: the status of an
+// unsuccessful response, otherwise the error code.
+function reason(err) {
+    const r = err.response;
+
+    return r && r.status ? String(r.status) : err.code || 'unknown';
+}
+
+// Returns the delay in milliseconds that the server asked for with the
+// Retry-After header of an unsuccessful response, or undefined if it didn't.
+// The header is either a number of seconds or an HTTP date.
+function retryAfter(err) {
+    const r = err.response;
+    const header = r && r.headers && r.headers['retry-after'];
+
+    if (header === undefined) {
+        return undefined;
+    }
+
+    if (/^\s*\d+\s*$/.test(header)) {
+        return parseInt(header) * 1000;
+    }
+
+    const date = Date.parse(header);
+
+    return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+}
+
+// Decides how a borrow function handles an error from a request made with a
+// token.  Returns an object with these attributes:
+//
+// * reauth: Reauthorize the client and try again immediately.  This doesn't
+//   count as a retry.
+//
+// * retry: Try again after a delay.
+//
+// * discard: Don't use the token again.
+function classify(err) {
+    const r = err.response || {};
+
+    if (r.status === 401) {
+        // The authorization expired.  This is an obvious error with a known
+        // fix.
+        return { reauth: true, retry: true, discard: true };
+    }
+
+    if (r.status === 503 || err.code === 'ECONNREFUSED' || err.code === 'ETIMEDOUT') {
+        // The token expired or we couldn't reach the server.
+        return { reauth: false, retry: true, discard: true };
+    }
+
+    if (err.code === 'ETOTALTIMEDOUT' || err.code === 'ESTALLED') {
+        // The request was cut off while in progress.  The server may not
+        // notice for a while, and consider the token to be in use until it
+        // does.
+        return { reauth: false, retry: true, discard: true };
+    }
+
+    if (r.status === 400 && r.data && r.data.message && r.data.message.startsWith('more than one upload using auth token')) {
+        // The server thinks there is an outstanding request using this same
+        // token.  Likely a prior request already failed with ETIMEDOUT or
+        // ECONNRESET and we noticed before the server.  This token might
+        // become valid again later, but if the token queue is currently empty
+        // we'll just wind up retrying with the same token.  Therefore,
+        // discard it.
+        return { reauth: false, retry: true, discard: true };
+    }
+
+    if (
+        err.code === 'ECONNTIMEDOUT' ||
+        err.code === 'ECONNRESET' || err.code === 'EPIPE' ||
+        err.code === 'EAI_AGAIN' || err.code === 'ENOTFOUND' ||
+        r.status === 500 || r.status === 429
+    ) {
+        // Retry in these scenarios but keep the token.  (If the connection
+        // couldn't even be established, the token was never used.)
+        return { reauth: false, retry: true, discard: false };
+    }
+
+    return { reauth: false, retry: false, discard: false };
+}
+
+module.exports = {
+    schema,
+    defaults,
+    resolve,
+    backoff,
+    reason,
+    retryAfter,
+    classify,
+};
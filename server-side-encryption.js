@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const Joi = require('@hapi/joi');
+
+// Server-side encryption settings.  SSE-B2 uses keys managed by B2; SSE-C uses
+// a 256-bit key supplied by the customer (as a buffer or a base64 string),
+// which must be sent with every upload request.
+const schema = Joi.object().keys({
+    mode: Joi.string().required().valid('SSE-B2', 'SSE-C'),
+    algorithm: Joi.string().valid('AES256').default('AES256'),
+    customerKey: Joi.binary().encoding('base64').length(32).when('mode', {
+        is: 'SSE-C',
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+    }),
+});
+
+function customerKeyMd5(sse) {
+    return crypto.createHash('md5').update(sse.customerKey).digest('base64');
+}
+
+function customerHeaders(sse) {
+    return {
+        'x-bz-server-side-encryption-customer-algorithm': sse.algorithm,
+        'x-bz-server-side-encryption-customer-key': sse.customerKey.toString('base64'),
+        'x-bz-server-side-encryption-customer-key-md5': customerKeyMd5(sse),
+    };
+}
+
+// Returns the headers to send with b2_upload_file.
+function uploadHeaders(sse) {
+    return !sse ? {} :
+        sse.mode === 'SSE-C' ? customerHeaders(sse) :
+        { 'x-bz-server-side-encryption': sse.algorithm };
+}
+
+// Returns the headers to send with b2_upload_part.  The encryption mode of a
+// large file is set when it is started, but B2 needs the customer's key for
+// every part.
+function partHeaders(sse) {
+    return sse && sse.mode === 'SSE-C' ? customerHeaders(sse) : {};
+}
+
+// Returns the serverSideEncryption parameter for b2_start_large_file.
+function startLargeFileParam(sse) {
+    return !sse ? undefined :
+        sse.mode === 'SSE-C' ? {
+            mode: sse.mode,
+            algorithm: sse.algorithm,
+            customerKey: sse.customerKey.toString('base64'),
+            customerKeyMd5: customerKeyMd5(sse),
+        } :
+        { mode: sse.mode, algorithm: sse.algorithm };
+}
+
+// Whether a file's serverSideEncryption, as reported by B2, uses the same mode
+// as sse.  B2 reports a null mode for unencrypted files.
+function sameMode(sse, reported) {
+    return (sse ? sse.mode : null) === ((reported && reported.mode) || null);
+}
+
+module.exports = {
+    schema,
+    uploadHeaders,
+    partHeaders,
+    startLargeFileParam,
+    sameMode,
+};
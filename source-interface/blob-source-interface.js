@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+const hashStream = require('../streams/hash');
+const iterableStream = require('../streams/iterable');
+const partSizes = require('../part-size');
+const syncPromise = require('../sync-promise');
+const hashParts = require('./hash-parts');
+
+// Returns a readable stream of a range of the blob.
+function sliceStream(blob, start, end) {
+    const s = iterableStream(blob.slice(start, end).stream());
+
+    // The B2 client fetches the data length from the data object, so we need
+    // to populate that.
+    s.byteLength = end - start;
+
+    return s;
+}
+
+// Files (a subclass of Blob) know when they were last modified.
+function lastModified(o) {
+    return typeof o.data.lastModified === 'number' ?
+        { lastModified: () => Promise.resolve(o.data.lastModified) } :
+        {};
+}
+
+// Like the file interface, parts are read from the blob on demand, so the
+// blob's contents are never copied into memory as a whole.
+function blobLargeInterface(o) {
+    const size = o.data.size;
+    const partSize = partSizes.forSize(o, size);
+    const totalParts = Math.ceil(size / partSize);
+
+    let piece = 0;
+
+    // Set once hash() is called.  Afterwards, part hashes are taken from the
+    // result instead of reading each part an extra time.
+    let hashed;
+
+    // Hash of the parts produced so far, when not using the result of hash().
+    const contentHash = crypto.createHash('sha1');
+    let contentDigest;
+
+    return {
+        ...lastModified(o),
+
+        size: () => Promise.resolve(size),
+
+        hash() {
+            hashed = hashed || hashParts(o, partSize, sliceStream(o.data, 0, size));
+            return hashed.then(r => r.hash);
+        },
+
+        async contentHash() {
+            if (hashed) {
+                return (await hashed).hash;
+            }
+
+            return contentDigest || (contentDigest = contentHash.digest('hex'));
+        },
+
+        // syncPromise keeps parts (and so contentHash) in order.
+        next: syncPromise(async () => {
+            if (piece >= totalParts) {
+                return undefined;
+            }
+
+            // Local copy of the piece we are working on.
+            const p = piece;
+
+            piece += 1;
+
+            const start = p * partSize;
+            const end = Math.min(start + partSize, size);
+
+            const hash = hashed ? hashed.then(r => r.partHashes[p]) :
+                new Promise((resolve, reject) => {
+                    sliceStream(o.data, start, end)
+                    .on('error', reject)
+                    .pipe(hashStream('sha1'))
+                    .on('data', chunk => { contentHash.update(chunk); })
+                    .on('hash', h => { resolve(h.toString('hex')); });
+                });
+
+            return {
+                // B2 pieces are 1-based
+                number: p + 1,
+
+                size: end - start,
+
+                hash: await hash,
+
+                obtain: () => sliceStream(o.data, start, end),
+
+                destroy(s) {
+                    s.destroy();
+                },
+            };
+        }),
+
+        // No-op for this producer type.
+        destroy() { },
+    };
+}
+
+module.exports = o =>
+    o.data.size >= o.largeFileThreshold ? blobLargeInterface(o) :
+    {
+        ...lastModified(o),
+        size: () => Promise.resolve(o.data.size),
+        makeStream: () => sliceStream(o.data, 0, o.data.size),
+    };
@@ -1,27 +1,50 @@
+const crypto = require('crypto');
+
 const bufferStream = require('../streams/buffer');
 const hashBuffer = require('../hash-buffer');
+const partSizes = require('../part-size');
 
 function bufferLargeInterface(o) {
     let piece = 0;
 
-    const total = Math.ceil(o.data.length / o.partSize);
+    const partSize = partSizes.forSize(o, o.data.length);
+    const total = Math.ceil(o.data.length / partSize);
+
+    // Hash of the parts produced so far.
+    const contentHash = crypto.createHash('sha1');
+    let contentDigest;
 
     return {
+        size: () => Promise.resolve(o.data.length),
+
+        hash: () => hashBuffer(o.data),
+
+        contentHash() {
+            contentDigest = contentDigest || contentHash.digest('hex');
+            return Promise.resolve(contentDigest);
+        },
+
         async next() {
             if (piece >= total) {
                 return Promise.resolve(undefined);
             }
 
             const data = o.data.subarray(
-                piece * o.partSize,
-                (piece + 1) * o.partSize /* end is exclusive */
+                piece * partSize,
+                (piece + 1) * partSize /* end is exclusive */
             );
 
             piece += 1;
 
+            // Done before the await below so that the order of calls (and not
+            // of hash completions) determines the order of the data.
+            contentHash.update(data);
+
             return Promise.resolve({
                 number: piece,
 
+                size: data.length,
+
                 hash: await hashBuffer(data),
 
                 obtain: () => data,
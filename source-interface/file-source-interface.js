@@ -1,7 +1,11 @@
+const crypto = require('crypto');
 const fs = require('fs');
 
 const hashStream = require('../streams/hash');
+const partSizes = require('../part-size');
 const pUtils = require('../promise-utils');
+const syncPromise = require('../sync-promise');
+const hashParts = require('./hash-parts');
 
 const stat = pUtils.promisify(fs.stat);
 
@@ -18,18 +22,46 @@ async function getFileSize(path) {
     return s.size;
 }
 
-function fileLargeInterface(o) {
+// Obtains the modification time of a local file, in milliseconds since the
+// epoch.
+async function getLastModified(path) {
+    return Math.floor((await stat(path)).mtimeMs);
+}
+
+function fileLargeInterface(o, size) {
     let piece = 0;
 
-    const detail = getFileSize(o.data).then(size => ({
-        size,
-        totalParts: Math.ceil(size / o.partSize),
-    }));
+    const partSize = partSizes.forSize(o, size);
+    const totalParts = Math.ceil(size / partSize);
+
+    // Set once hash() is called.  Afterwards, part hashes are taken from the
+    // result instead of reading each part an extra time.
+    let hashed;
+
+    // Hash of the parts produced so far, when not using the result of hash().
+    const contentHash = crypto.createHash('sha1');
+    let contentDigest;
 
     return {
-        async next() {
-            const { size, totalParts } = await detail;
+        size: () => Promise.resolve(size),
+
+        lastModified: () => getLastModified(o.data),
+
+        hash() {
+            hashed = hashed || hashParts(o, partSize, fs.createReadStream(o.data));
+            return hashed.then(r => r.hash);
+        },
+
+        async contentHash() {
+            if (hashed) {
+                return (await hashed).hash;
+            }
 
+            return contentDigest || (contentDigest = contentHash.digest('hex'));
+        },
+
+        // syncPromise keeps parts (and so contentHash) in order.
+        next: syncPromise(async () => {
             if (piece >= totalParts) {
                 return undefined;
             }
@@ -39,10 +71,10 @@ function fileLargeInterface(o) {
 
             piece += 1;
 
-            function openFile() {
-                const start = p * o.partSize;
-                const end = Math.min(start + o.partSize, size);
+            const start = p * partSize;
+            const end = Math.min(start + partSize, size);
 
+            function openFile() {
                 const s = fs.createReadStream(o.data, {
                     start,
                     end: end - 1, // - 1 because end is inclusive
@@ -55,24 +87,27 @@ function fileLargeInterface(o) {
                 return s;
             }
 
-            const hash = new Promise((resolve, reject) => {
-                const source = openFile();
-
-                source.on('error', err => {
-                    reject(err);
-                    source.destroy();
-                })
-                .pipe(hashStream('sha1'))
-                .on('hash', hash => {
-                    resolve(hash.toString('hex'));
-                })
-                .resume();
-            });
+            const hash = hashed ? hashed.then(r => r.partHashes[p]) :
+                new Promise((resolve, reject) => {
+                    const source = openFile();
+
+                    source.on('error', err => {
+                        reject(err);
+                        source.destroy();
+                    })
+                    .pipe(hashStream('sha1'))
+                    .on('data', chunk => { contentHash.update(chunk); })
+                    .on('hash', hash => {
+                        resolve(hash.toString('hex'));
+                    });
+                });
 
             return {
                 // B2 pieces are 1-based
                 number: p + 1,
 
+                size: end - start,
+
                 hash: await hash,
 
                 obtain: openFile,
@@ -81,16 +116,20 @@ function fileLargeInterface(o) {
                     o.destroy();
                 },
             };
-        },
+        }),
 
         // No-op for this producer type.
         destroy() { },
     };
 }
 
-module.exports = async o =>
-    (await getFileSize(o.data)) >= o.largeFileThreshold ? fileLargeInterface(o) :
+module.exports = async o => {
+    const size = await getFileSize(o.data);
+
+    return size >= o.largeFileThreshold ? fileLargeInterface(o, size) :
     {
         size: () => getFileSize(o.data),
+        lastModified: () => getLastModified(o.data),
         makeStream: () => fs.createReadStream(o.data),
     };
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+const abort = require('../abort');
+
+// Reads a whole source once from the readable stream s, computing the SHA-1
+// hash of the whole source as well as of each part of partSize bytes.
+// Resolves to an object with hash and partHashes attributes.
+module.exports = (o, partSize, s) =>
+    new Promise((resolve, reject) => {
+        const whole = crypto.createHash('sha1');
+        const partHashes = [];
+
+        let part = crypto.createHash('sha1');
+        let partRemaining = partSize;
+
+        const removeAbortListener = abort.onAbort(o.signal, () => {
+            s.destroy(abort.abortError());
+        });
+
+        s.on('error', err => {
+            removeAbortListener();
+            reject(err);
+        });
+
+        s.on('data', chunk => {
+            whole.update(chunk);
+
+            // Split the chunk at part boundaries.
+            while (chunk.length > 0) {
+                const piece = chunk.subarray(0, partRemaining);
+
+                part.update(piece);
+                partRemaining -= piece.length;
+                chunk = chunk.subarray(piece.length);
+
+                if (partRemaining === 0) {
+                    partHashes.push(part.digest('hex'));
+                    part = crypto.createHash('sha1');
+                    partRemaining = partSize;
+                }
+            }
+        });
+
+        s.on('end', () => {
+            if (partRemaining !== partSize) {
+                partHashes.push(part.digest('hex'));
+            }
+
+            removeAbortListener();
+            resolve({ hash: whole.digest('hex'), partHashes });
+        });
+    });
@@ -1,11 +1,16 @@
+const iterableStream = require('../streams/iterable');
+const blobSI = require('./blob-source-interface');
 const bufferSI = require('./buffer-source-interface');
 const fileSI = require('./file-source-interface');
 const streamSI = require('./stream-source-interface');
+const urlSI = require('./url-source-interface');
+const validate = require('./validate');
 
 // Constructs a source object for the given upload options object.  This object
 // must conform to one of two interfaces: the standard upload interface, or the
 // large-file interface.  This interface allows the core upload functions to be
-// indifferent about the source of the upload (buffer, file, or stream).
+// indifferent about the source of the upload (buffer, file, stream, URL, blob,
+// or a custom source type; see register() below).
 //
 // The standard upload interface has the following attributes:
 //
@@ -14,10 +19,29 @@ const streamSI = require('./stream-source-interface');
 // * makeStream: Function returning readable stream that will produce the bytes
 //   to upload.
 //
+// * lastModified: Optional.  Function returning promise for the time the source
+//   was last modified, in milliseconds since the epoch.  (Both interfaces may
+//   have this attribute.)
+//
 // The large-file upload interface has the following attributes:
 //
+// * size: Optional.  Function returning promise for the total size of the
+//   upload, in bytes.  Omitted when the size isn't known until all parts have
+//   been produced.
+//
 // * destroy: Function that will destroy any resources associated with the
-//   source.  (This is called when the upload completes or fails.)
+//   source.  (This is called when the upload completes or fails, possibly more
+//   than once.)
+//
+// * hash: Optional.  Function returning promise for the hex-encoded SHA-1 hash of
+//   the entire upload.  May be called before any part is requested.  Omitted
+//   when the hash can't be known in advance.
+//
+// * contentHash: Optional.  Function returning promise for the hex-encoded
+//   SHA-1 hash of the contents of all parts, computed in part order as they are
+//   produced.  Must only be called after next() has resolved to undefined.
+//   When omitted, the uploaded data can't be checked against a
+//   large_file_sha1 value.
 //
 // * next: Function that returns a promise for an object that meets the
 //   "large-file upload part interface" defined below, or undefined if there
@@ -27,6 +51,8 @@ const streamSI = require('./stream-source-interface');
 //
 // * number: Integer.  1-based index of this part.
 //
+// * size: Integer.  The size of this part, in bytes.
+//
 // * hash: String.  Hex-encoded SHA-1 hash of the contents of this part.
 //
 // * obtain: Function returning either a buffer containing the contents of this
@@ -34,8 +60,63 @@ const streamSI = require('./stream-source-interface');
 //
 // * destroy: Function that will destroy any resources used by the object
 //   returned from obtain().
+//
+// * release: Optional.  Function that frees any resources held by the part.
+//   Called once the part has been uploaded (or was found to already be
+//   uploaded).
+
+// Custom source types, most recently registered first.
+const custom = [];
+
+// Registers a custom source type.  Data for which test(data) returns true is
+// uploaded using the source object returned by (or resolved from)
+// create(options), where options is the upload options object.  The source
+// object is checked with validate().  Custom types take precedence over the
+// built-in ones, and later registrations over earlier ones.  Returns a
+// function that removes the registration.
+function register(test, create) {
+    if (typeof test !== 'function' || typeof create !== 'function') {
+        throw new TypeError('Source types need test and create functions');
+    }
+
+    const entry = { test, create };
+
+    custom.unshift(entry);
+
+    return () => {
+        const i = custom.indexOf(entry);
+
+        if (i !== -1) {
+            custom.splice(i, 1);
+        }
+    };
+}
+
+function findCustom(data) {
+    return custom.find(entry => entry.test(data));
+}
+
+function builtin(o) {
+    return o.data instanceof Buffer ? bufferSI(o) :
+        typeof o.data === 'string' ? fileSI(o) :
+        o.data instanceof URL ? urlSI(o) :
+        typeof Blob !== 'undefined' && o.data instanceof Blob ? blobSI(o) :
+        typeof o.data.pipe === 'function' ? streamSI(o) :
+
+        // Async iterables and WHATWG ReadableStreams are read as a Node
+        // stream.  Replacing the data lets the stream be destroyed when the
+        // upload is aborted, like any other stream.
+        streamSI(Object.assign(o, { data: iterableStream(o.data) }));
+}
+
+module.exports = async o => {
+    const entry = findCustom(o.data);
+
+    return entry ? validate(await entry.create(o)) : builtin(o);
+};
+
+module.exports.register = register;
+module.exports.validate = validate;
 
-module.exports = o =>
-    o.data instanceof Buffer ? bufferSI(o) :
-    typeof o.data === 'string' ? fileSI(o) :
-    streamSI(o);
+// Whether the data is handled by a custom source type.
+module.exports.isCustom = data => findCustom(data) !== undefined;
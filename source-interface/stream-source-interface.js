@@ -1,15 +1,207 @@
+const buffer = require('buffer');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const stream = require('stream');
 
 const bufferStream = require('../streams/buffer');
 const concatStream = require('../streams/concat');
 const hashBuffer = require('../hash-buffer');
+const partSizes = require('../part-size');
+const pUtils = require('../promise-utils');
 const safePipe = require('../safe-pipe');
 const syncPromise = require('../sync-promise');
 
+const open = pUtils.promisify(fs.open);
+const write = pUtils.promisify(fs.write);
+const close = pUtils.promisify(fs.close);
+const unlink = pUtils.promisify(fs.unlink);
+
+// Part storage objects hold the contents of a single part while it is read
+// from the stream.  They have the following attributes:
+//
+// * write: Function accepting a buffer to append to the part.  Returns a
+//   promise that resolves once the buffer may be reused.
+//
+// * finish: Function returning a promise for an object with the size, hash,
+//   obtain, destroy and release attributes of the large-file upload part
+//   interface.
+//
+// * discard: Function that frees the storage without producing a part.
+
+// Stores a part in memory.  The release callback is invoked once the part's
+// memory is no longer needed.
+function memoryPartStorage(size, release) {
+    const buf = Buffer.allocUnsafe(size);
+    let pos = 0;
+
+    return {
+        write(chunk) {
+            chunk.copy(buf, pos);
+            pos += chunk.length;
+
+            return Promise.resolve();
+        },
+
+        async finish() {
+            const data = buf.subarray(0, pos);
+
+            return {
+                size: pos,
+
+                hash: await hashBuffer(data),
+
+                obtain: () => data,
+
+                destroy() { },
+
+                release,
+            };
+        },
+
+        discard() {
+            release();
+        },
+    };
+}
+
+// Stores a part in a temporary file in the given directory.  The file is
+// hashed as it is written, so it's only read back to upload it.  The remove
+// function of the returned object deletes the file; it may be called any
+// number of times.
+async function filePartStorage(dir) {
+    const file = path.join(dir, `b2-upload-${crypto.randomBytes(12).toString('hex')}.part`);
+    const fd = await open(file, 'wx', 0o600);
+    const hash = crypto.createHash('sha1');
+
+    let pos = 0;
+    let closed;
+    let removed;
+
+    function closeFile() {
+        return closed || (closed = close(fd));
+    }
+
+    function remove() {
+        removed = removed || closeFile().then(() => unlink(file));
+
+        // Failure to remove a temporary file shouldn't fail the upload.
+        return removed.catch(() => {});
+    }
+
+    return {
+        remove,
+
+        async write(chunk) {
+            for (let offset = 0; offset < chunk.length; ) {
+                offset += await write(fd, chunk, offset, chunk.length - offset, null);
+            }
+
+            hash.update(chunk);
+            pos += chunk.length;
+        },
+
+        async finish() {
+            await closeFile();
+
+            const size = pos;
+
+            return {
+                size,
+
+                hash: hash.digest('hex'),
+
+                obtain() {
+                    const s = fs.createReadStream(file);
+
+                    // The B2 client fetches the data length from the data
+                    // object, so we need to populate that.
+                    s.byteLength = size;
+
+                    return s;
+                },
+
+                destroy(s) {
+                    s.destroy();
+                },
+
+                release: remove,
+            };
+        },
+
+        discard: remove,
+    };
+}
+
 function streamLargeInterface(o, readBuffer) {
     let piece = 1;
     let done = false;
 
+    // Parts are spilled to temporary files if a spill directory or a memory
+    // budget is given.  Parts are kept in memory as long as the memory they
+    // hold (including parts still being uploaded or retried) stays within the
+    // budget.
+    const spill = o.spillDirectory !== undefined || o.memoryBudget !== undefined;
+    const spillDirectory = o.spillDirectory || os.tmpdir();
+    const memoryBudget = o.memoryBudget !== undefined ? o.memoryBudget : spill ? 0 : Infinity;
+
+    let memoryHeld = 0;
+
+    // Functions releasing the resources of every part storage object: memory
+    // and temporary files.  They are idempotent, so they are all called again
+    // when the source is destroyed, whether or not the part was released.
+    const releases = new Set();
+    let destroyed = false;
+
+    // Memory is also limited across all uploads by the client's buffer limit.
+    // If we can spill, don't wait for it.
+    async function acquireBuffer(size) {
+        return spill ?
+            o.governor.buffers.tryAcquire(size) :
+            o.governor.buffers.acquire(o, size, o.signal);
+    }
+
+    // Parts too large for a single buffer are always spilled.
+    async function createPartStorage(size) {
+        const releaseBuffer =
+            size <= buffer.constants.MAX_LENGTH &&
+            memoryHeld + size <= memoryBudget &&
+            await acquireBuffer(size);
+
+        if (releaseBuffer) {
+            memoryHeld += size;
+
+            let released = false;
+
+            const release = () => {
+                if (!released) {
+                    released = true;
+                    memoryHeld -= size;
+                    releaseBuffer();
+                }
+            };
+
+            releases.add(release);
+
+            if (destroyed) {
+                release();
+            }
+
+            return memoryPartStorage(size, release);
+        }
+
+        const storage = await filePartStorage(spillDirectory);
+
+        releases.add(storage.remove);
+
+        if (destroyed) {
+            storage.remove();
+        }
+
+        return storage;
+    }
+
     const source = safePipe(
         // Combine the buffers we already read while probing the stream's size
         // with the rest of the stream.
@@ -34,7 +226,7 @@ function streamLargeInterface(o, readBuffer) {
         // throughput while we wait for the source stream.
         //
         // To solve this problem, we pipe through a pass-through stream with a
-        // calculated high watermark: the current part size, less the amount of
+        // calculated high watermark: the initial part size, less the amount of
         // buffering the source stream will do by itself.
         //
         // If there is backpressure even with this buffering, then the upload
@@ -42,12 +234,30 @@ function streamLargeInterface(o, readBuffer) {
         // network is the bottleneck, or the number of upload workers should be
         // increased (free RAM permitting).
         //
-        // Enforce a minimum of 1MB.
+        // Enforce a minimum of 1MB.  When spilling, the extra part isn't
+        // buffered; it would defeat the purpose of spilling.
         new stream.PassThrough({
-            readableHighWaterMark: Math.max(1000000, o.partSize - o.data.readableHighWaterMark),
+            readableHighWaterMark: spill ? 1000000 :
+                Math.max(1000000, o.partSize - o.data.readableHighWaterMark),
         })
     );
 
+    // The source can fail while no part is being read (for example, when the
+    // upload is aborted).  Remember the error for the next read, which also
+    // keeps it from being unhandled.
+    let error;
+    source.on('error', err => { error = err; });
+
+    // Hash of the parts produced so far.  Since next() is never run
+    // concurrently, parts are added in order.
+    const contentHash = crypto.createHash('sha1');
+    let contentDigest;
+
+    // Data read from the source beyond the end of the previous part.  It
+    // can't be put back into the source: parts are stored asynchronously, so
+    // the source may have ended by the time we know there is too much.
+    let leftover;
+
     return {
         // We use syncPromise because this function is not safe to invoke
         // concurrently; otherwise the contents of the stream could be
@@ -55,6 +265,11 @@ function streamLargeInterface(o, readBuffer) {
         // anyway, but we guard against it to be safe.
         next: syncPromise(() =>
             new Promise((resolve, reject) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+
                 if (done) {
                     resolve(undefined);
                     return;
@@ -63,66 +278,146 @@ function streamLargeInterface(o, readBuffer) {
                 const number = piece;
                 piece += 1;
 
-                const buf = Buffer.allocUnsafe(o.partSize);
+                // Part sizes grow with the number of parts, as the size of
+                // the stream isn't known.
+                const partSize = partSizes.forPart(o, number);
+
+                let storage;
                 let pos = 0;
+                let delivered = false;
 
                 const reader = new stream.Writable({
-                    write(chunk, encoding, cb) {
-                        chunk.copy(buf, pos);
-                        pos += chunk.length;
+                    // Don't accept a chunk until the previous one has been
+                    // stored.  Otherwise chunks could be left in this stream's
+                    // buffer when the part is delivered.
+                    highWaterMark: 0,
 
-                        if (pos >= buf.length) {
-                            // We read a full chunk, deliver it.
-                            deliver(buf);
-
-                            if (pos > buf.length) {
-                                // We read too much, put some back for next time.
-                                const overflow = pos - buf.length;
-                                source.unshift(chunk.subarray(chunk.length - overflow));
-                            }
-                        }
-
-                        cb();
+                    write(chunk, encoding, cb) {
+                        consume(chunk).then(() => { cb(); });
                     },
 
                     final(cb) {
                         // The stream ended. If we read anything, deliver it.
                         // Otherwise signal that we're done by resolving as
                         // undefined.
-                        deliver(pos !== 0 ? buf.subarray(0, pos) : undefined);
                         done = true;
+                        deliver();
 
                         cb();
                     },
                 });
 
-                function deliver(result) {
-                    source.off('error', reject);
+                // Adds a chunk to the part.  Never rejects; failures reject
+                // the part instead.
+                function consume(chunk) {
+                    // There is more data, but B2 won't accept another part.
+                    if (number > partSizes.MAX_PARTS) {
+                        fail(partSizes.tooManyParts(o));
+                        return Promise.resolve();
+                    }
+
+                    // Only part of the chunk may fit in this part.
+                    const fits = chunk.subarray(0, partSize - pos);
+
+                    return (storage || (storage = createPartStorage(partSize)))
+                    .then(s => s.write(fits))
+                    .then(() => {
+                        contentHash.update(fits);
+                        pos += fits.length;
+
+                        if (pos >= partSize) {
+                            // We read a full part, deliver it.
+                            deliver();
+
+                            if (fits.length < chunk.length) {
+                                // We read too much, keep the rest for next
+                                // time.
+                                leftover = chunk.subarray(fits.length);
+                            }
+                        }
+                    })
+                    .catch(fail);
+                }
+
+                function detach() {
+                    source.off('error', fail);
                     source.unpipe(reader);
+                }
 
-                    resolve(
-                        result &&
+                function discard() {
+                    if (storage) {
+                        storage.then(s => s.discard(), () => {});
+                    }
+                }
 
-                        hashBuffer(result)
-                        .then(hash => ({
-                            number,
+                function fail(err) {
+                    delivered = true;
+                    detach();
+                    discard();
+                    reject(err);
+                }
 
-                            hash,
+                function deliver() {
+                    // If the stream ended exactly at the end of a full part,
+                    // the part was already delivered (or failed).  Finishing
+                    // its storage again would close a spilled part's file
+                    // twice.
+                    if (delivered) {
+                        return;
+                    }
 
-                            obtain: () => result,
+                    delivered = true;
+                    detach();
 
-                            destroy() { },
-                        }))
+                    if (pos === 0) {
+                        discard();
+                        resolve(undefined);
+                        return;
+                    }
+
+                    resolve(
+                        storage
+                        .then(s => s.finish())
+                        .then(part => ({ number, ...part }))
                     );
                 }
 
-                source.on('error', reject);
-                source.pipe(reader);
+                function attach() {
+                    if (!delivered) {
+                        source.on('error', fail);
+                        source.pipe(reader);
+                    }
+                }
+
+                if (leftover) {
+                    // The leftover may fill this part by itself.
+                    const chunk = leftover;
+                    leftover = undefined;
+
+                    consume(chunk).then(attach);
+                } else {
+                    attach();
+                }
             })
         ),
 
+        contentHash() {
+            contentDigest = contentDigest || contentHash.digest('hex');
+            return Promise.resolve(contentDigest);
+        },
+
         destroy() {
+            destroyed = true;
+
             o.data.destroy();
+
+            o.governor.buffers.cancel(o, new Error('The source was destroyed'));
+
+            for (const release of releases) {
+                release();
+            }
+
+            releases.clear();
         },
     };
 }
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const stream = require('stream');
+
+const abort = require('../abort');
+const partSizes = require('../part-size');
+const hashStream = require('../streams/hash');
+const syncPromise = require('../sync-promise');
+const requestTimeouts = require('../timeouts');
+const streamSI = require('./stream-source-interface');
+
+function timeoutError(which, message) {
+    return Object.assign(new Error(message), { code: requestTimeouts.codes[which] });
+}
+
+// Applies the idle timeout and stall detection of the upload's timeouts (see
+// timeouts.js) to the body of a response while it is being read.  The body is
+// read at the pace of the upload, which may pause it (when throttled, say) for
+// longer than that, so time spent paused doesn't count and the socket timeout
+// can't be used.
+function watchBody(req, res, t) {
+    const checks = [ t.idle, t.stall && t.stall.window ].filter(Number.isFinite);
+
+    if (!checks.length) {
+        return;
+    }
+
+    const socket = req.socket;
+
+    let bytesRead = socket.bytesRead;
+    let lastActive = Date.now();
+
+    // The current window of stall detection.
+    let windowStarted = lastActive;
+    let windowBytesRead = bytesRead;
+
+    const timer = setInterval(() => {
+        const now = Date.now();
+
+        if (!res.readableFlowing) {
+            bytesRead = windowBytesRead = socket.bytesRead;
+            lastActive = windowStarted = now;
+            return;
+        }
+
+        if (socket.bytesRead !== bytesRead) {
+            bytesRead = socket.bytesRead;
+            lastActive = now;
+        } else if (now - lastActive >= t.idle) {
+            res.destroy(timeoutError('idle', 'Request timed out'));
+            return;
+        }
+
+        if (t.stall && now - windowStarted >= t.stall.window) {
+            if (socket.bytesRead - windowBytesRead < t.stall.bytes) {
+                res.destroy(timeoutError('stall', `Fewer than ${t.stall.bytes} bytes were transferred in ${t.stall.window}ms`));
+                return;
+            }
+
+            windowBytesRead = socket.bytesRead;
+            windowStarted = now;
+        }
+    }, Math.min(...checks) / 4);
+
+    res.on('close', () => { clearInterval(timer); });
+}
+
+// Makes a request for the source URL, resolving to the response once its
+// headers have been received.  The response may be unsuccessful.  The
+// connect and idle timeouts of the upload apply; see watchBody() for the body.
+// The total timeout doesn't, as the body is read at the pace of the upload.
+function request(o, method, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const url = o.data;
+        const t = requestTimeouts.resolve(o.timeouts);
+
+        const req = (url.protocol === 'http:' ? http : https).request(url, {
+            method,
+            headers,
+            timeout: Number.isFinite(t.idle) ? t.idle : undefined,
+        }, res => {
+            req.setTimeout(0);
+            watchBody(req, res, t);
+            resolve(res);
+        });
+
+        const removeAbortListener = abort.onAbort(o.signal, () => {
+            req.destroy(abort.abortError());
+        });
+
+        req.on('socket', socket => {
+            // A reused connection is already established.
+            if (Number.isFinite(t.connect) && socket.connecting) {
+                const timer = setTimeout(() => {
+                    req.destroy(timeoutError('connect', `Connection was not established within ${t.connect}ms`));
+                }, t.connect);
+
+                socket.once(socket.encrypted ? 'secureConnect' : 'connect', () => {
+                    clearTimeout(timer);
+                });
+                req.on('close', () => { clearTimeout(timer); });
+            }
+        });
+
+        req.on('error', reject);
+        req.on('close', removeAbortListener);
+        req.on('timeout', () => {
+            req.destroy(timeoutError('idle', 'Request timed out'));
+        });
+
+        req.end();
+    });
+}
+
+function isSuccess(res) {
+    return res.statusCode >= 200 && res.statusCode < 300;
+}
+
+function statusError(o, res) {
+    // Discard the body.
+    res.resume();
+
+    return Object.assign(
+        new Error(`Request for ${o.data} failed with status code ${res.statusCode}`),
+        { statusCode: res.statusCode }
+    );
+}
+
+// Requests the headers of the source to learn its size and whether the server
+// supports range requests.  Servers that don't support HEAD are treated as if
+// they sent no useful headers.
+async function probe(o) {
+    const res = await request(o, 'HEAD');
+
+    res.resume();
+
+    if (!isSuccess(res)) {
+        return {};
+    }
+
+    const h = res.headers;
+    const size = parseInt(h['content-length']);
+    const lastModified = Date.parse(h['last-modified']);
+
+    return {
+        size: Number.isFinite(size) ? size : undefined,
+
+        ranges: h['accept-ranges'] === 'bytes',
+
+        // Range requests are made conditional on the source being unchanged.
+        // Weak entity tags can't be used for this.
+        validator: h.etag && !h.etag.startsWith('W/') ? h.etag : h['last-modified'],
+
+        lastModified: Number.isFinite(lastModified) ? lastModified : undefined,
+    };
+}
+
+// Returns a readable stream of the whole source.  The request is made
+// asynchronously; failures are reported as stream errors.
+function makeStream(o) {
+    const s = new stream.PassThrough();
+
+    request(o, 'GET').then(
+        res => {
+            if (!isSuccess(res)) {
+                s.destroy(statusError(o, res));
+                return;
+            }
+
+            res.on('error', err => { s.destroy(err); });
+            s.on('close', () => { res.destroy(); });
+            res.pipe(s);
+        },
+        err => { s.destroy(err); }
+    );
+
+    return s;
+}
+
+function urlLargeInterface(o, info) {
+    let piece = 0;
+
+    const partSize = partSizes.forSize(o, info.size);
+    const totalParts = Math.ceil(info.size / partSize);
+
+    // Hash of the parts produced so far.
+    const contentHash = crypto.createHash('sha1');
+    let contentDigest;
+
+    // Resolves to a response producing the given range of the source.  If the
+    // source changed since it was probed, the server ignores the range (due to
+    // the if-range header) and this fails.
+    async function fetchRange(start, end) {
+        const res = await request(o, 'GET', {
+            range: `bytes=${start}-${end - 1}`,
+            ...(info.validator ? { 'if-range': info.validator } : {}),
+        });
+
+        if (!isSuccess(res)) {
+            throw statusError(o, res);
+        }
+
+        if (res.statusCode !== 206) {
+            res.resume();
+            throw new Error(`Range request for ${o.data} was not honored; the source may have changed`);
+        }
+
+        // The B2 client fetches the data length from the data object, so we
+        // need to populate that.
+        res.byteLength = end - start;
+
+        return res;
+    }
+
+    return {
+        size: () => Promise.resolve(info.size),
+
+        // syncPromise keeps parts (and so contentHash) in order.
+        next: syncPromise(async () => {
+            if (piece >= totalParts) {
+                return undefined;
+            }
+
+            // Local copy of the piece we are working on.
+            const p = piece;
+
+            piece += 1;
+
+            const start = p * partSize;
+            const end = Math.min(start + partSize, info.size);
+
+            // The range is fetched once to hash it, and again each time the
+            // part is uploaded, so parts are never held in memory.
+            const res = await fetchRange(start, end);
+
+            const hash = await new Promise((resolve, reject) => {
+                let received = 0;
+
+                res.on('error', reject)
+                .pipe(hashStream('sha1'))
+                .on('data', chunk => {
+                    received += chunk.length;
+                    contentHash.update(chunk);
+                })
+                .on('hash', h => {
+                    if (received !== end - start) {
+                        reject(new Error(`Expected ${end - start} bytes of ${o.data} but received ${received}`));
+                    } else {
+                        resolve(h.toString('hex'));
+                    }
+                });
+            });
+
+            return {
+                // B2 pieces are 1-based
+                number: p + 1,
+
+                size: end - start,
+
+                hash,
+
+                obtain: () => fetchRange(start, end),
+
+                destroy(s) {
+                    s.destroy();
+                },
+            };
+        }),
+
+        contentHash() {
+            contentDigest = contentDigest || contentHash.digest('hex');
+            return Promise.resolve(contentDigest);
+        },
+
+        // No-op for this producer type.
+        destroy() { },
+    };
+}
+
+module.exports = async o => {
+    const info = await probe(o);
+
+    const lastModified = info.lastModified === undefined ? {} :
+        { lastModified: () => Promise.resolve(info.lastModified) };
+
+    if (info.size !== undefined && info.size < o.largeFileThreshold) {
+        return {
+            ...lastModified,
+            size: () => Promise.resolve(info.size),
+            makeStream: () => makeStream(o),
+        };
+    }
+
+    if (info.size !== undefined && info.ranges) {
+        return { ...lastModified, ...urlLargeInterface(o, info) };
+    }
+
+    // Without ranges (or a known size), the source can only be read once, as
+    // a stream.
+    const res = await request(o, 'GET');
+
+    if (!isSuccess(res)) {
+        throw statusError(o, res);
+    }
+
+    o.data = res;
+
+    return { ...lastModified, ...await streamSI(o) };
+};
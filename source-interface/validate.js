@@ -0,0 +1,123 @@
+// Checks that a source object conforms to one of the interfaces documented in
+// index.js.  Returns an equivalent source object that also checks the values
+// its functions produce (such as each part), rejecting with an error that
+// describes the first problem found.  Errors have the code
+// ERR_INVALID_SOURCE.
+
+const ATTRIBUTES = [
+    'size',
+    'makeStream',
+    'lastModified',
+    'next',
+    'destroy',
+    'hash',
+    'contentHash',
+];
+
+function invalid(message) {
+    return Object.assign(
+        new Error(`Invalid upload source: ${message}`),
+        { code: 'ERR_INVALID_SOURCE' }
+    );
+}
+
+function isSize(v) {
+    return Number.isInteger(v) && v >= 0;
+}
+
+function isHash(v) {
+    return typeof v === 'string' && /^[0-9a-f]{40}$/.test(v);
+}
+
+function checkPart(part, number) {
+    if (!part || typeof part !== 'object') {
+        throw invalid(`next() resolved to ${part} instead of a part object or undefined`);
+    }
+
+    if (part.number !== number) {
+        throw invalid(`part ${number} has number ${part.number}; parts must be numbered consecutively from 1`);
+    }
+
+    if (!isSize(part.size) || part.size === 0) {
+        throw invalid(`part ${number} has size ${part.size}; it must be a positive integer`);
+    }
+
+    if (!isHash(part.hash)) {
+        throw invalid(`part ${number} has hash ${part.hash}; it must be a hex-encoded SHA-1 hash in lower case`);
+    }
+
+    for (const name of [ 'obtain', 'destroy' ]) {
+        if (typeof part[name] !== 'function') {
+            throw invalid(`part ${number} has no ${name} function`);
+        }
+    }
+
+    if (part.release !== undefined && typeof part.release !== 'function') {
+        throw invalid(`part ${number} has a release attribute that is not a function`);
+    }
+}
+
+module.exports = si => {
+    if (!si || typeof si !== 'object') {
+        throw invalid(`${si} is not an object`);
+    }
+
+    const large = si.next !== undefined;
+    const required = large ? [ 'next', 'destroy' ] : [ 'size', 'makeStream' ];
+
+    for (const name of ATTRIBUTES) {
+        if (si[name] === undefined ? required.includes(name) : typeof si[name] !== 'function') {
+            throw invalid(`${name} must be a function`);
+        }
+    }
+
+    if (large && si.makeStream !== undefined) {
+        throw invalid('it has both next and makeStream; it must implement only one interface');
+    }
+
+    // The functions are bound, so sources may be class instances.
+    const checked = {};
+
+    for (const name of ATTRIBUTES) {
+        if (si[name] !== undefined) {
+            checked[name] = si[name].bind(si);
+        }
+    }
+
+    if (si.size) {
+        checked.size = async () => {
+            const size = await si.size();
+
+            if (!isSize(size)) {
+                throw invalid(`size() resolved to ${size}; it must be a non-negative integer`);
+            }
+
+            return size;
+        };
+    }
+
+    if (large) {
+        let number = 1;
+        let ended = false;
+
+        checked.next = async () => {
+            const part = await si.next();
+
+            if (part === undefined) {
+                ended = true;
+                return undefined;
+            }
+
+            if (ended) {
+                throw invalid('next() produced a part after resolving to undefined');
+            }
+
+            checkPart(part, number);
+            number += 1;
+
+            return part;
+        };
+    }
+
+    return checked;
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const stream = require('stream');
+
+// Pass-through stream that appends the hex-encoded digest of all of the
+// content to pass through the stream, using the specified algorithm.
+module.exports = algo => {
+    const h = crypto.createHash(algo);
+
+    return stream.Transform({
+        transform(chunk, encoding, cb) {
+            h.update(chunk, encoding);
+            this.push(chunk, encoding);
+
+            cb();
+        },
+
+        flush(cb) {
+            this.push(h.digest('hex'), 'ascii');
+            cb();
+        },
+    });
+};
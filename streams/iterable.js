@@ -0,0 +1,32 @@
+const stream = require('stream');
+
+// Reads the chunks of a WHATWG ReadableStream.  If the stream isn't read to
+// the end, it is canceled.
+async function* readChunks(rs) {
+    const reader = rs.getReader();
+    let done = false;
+
+    try {
+        while (!done) {
+            const r = await reader.read();
+
+            done = r.done;
+
+            if (!done) {
+                yield r.value;
+            }
+        }
+    } finally {
+        if (!done) {
+            reader.cancel().catch(() => {});
+        }
+    }
+}
+
+// Readable stream that produces the chunks of an async iterable or a WHATWG
+// ReadableStream.  The chunks must be buffers, typed arrays or strings.
+// Destroying the stream stops the iteration.
+module.exports = source => stream.Readable.from(
+    typeof source.getReader === 'function' ? readChunks(source) : source,
+    { objectMode: false }
+);
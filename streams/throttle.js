@@ -0,0 +1,63 @@
+const stream = require('stream');
+
+// Pass-through stream that limits the rate of the content passing through it
+// with an array of throttles (see throttle.js).  Chunks are split as needed,
+// so that every throttle grants each piece before it is passed on.
+//
+// The stream's throttled attribute is set to true whenever it has to wait for
+// a throttle; the HTTPS client clears it to find out whether a throttle held
+// up the transfer since it last looked.
+module.exports = throttles => {
+    // Takes up to max bytes from every throttle, resolving to the number all
+    // of them granted.  Bytes granted beyond that are returned.
+    async function take(s, max) {
+        const granted = [];
+        let n = max;
+
+        for (const t of throttles) {
+            let g = t.tryTake(n);
+
+            if (!g) {
+                s.throttled = true;
+                g = await t.take(n);
+            }
+
+            granted.push(g);
+            n = Math.min(n, g);
+        }
+
+        // Also return everything if the stream was destroyed while waiting.
+        const used = s.destroyed ? 0 : n;
+
+        throttles.forEach((t, i) => {
+            if (granted[i] > used) {
+                t.refund(granted[i] - used);
+            }
+        });
+
+        return used;
+    }
+
+    const s = new stream.Transform({
+        transform(chunk, encoding, cb) {
+            (async () => {
+                if (typeof chunk === 'string') {
+                    chunk = Buffer.from(chunk, encoding);
+                }
+
+                for (let offset = 0; offset < chunk.length && !s.destroyed; ) {
+                    const n = await take(s, chunk.length - offset);
+
+                    if (n) {
+                        s.push(chunk.subarray(offset, offset + n));
+                        offset += n;
+                    }
+                }
+            })().then(() => { cb(); }, cb);
+        },
+    });
+
+    s.throttled = false;
+
+    return s;
+};
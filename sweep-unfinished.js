@@ -0,0 +1,130 @@
+const Joi = require('@hapi/joi');
+const { v4: uuidv4 } = require('uuid');
+
+const abort = require('./abort');
+const b2Api = require('./b2-api');
+const createEmit = require('./events');
+const pUtils = require('./promise-utils');
+const retryPolicy = require('./retry-policy');
+const requestTimeouts = require('./timeouts');
+const { trace } = require('./log');
+
+const optionsSchema = Joi.object().required().keys({
+    bucketId: Joi.string().required(),
+    concurrency: Joi.number().integer().min(1).default(4),
+    dryRun: Joi.boolean().default(false),
+    olderThan: Joi.number().min(0).default(0),
+    prefix: Joi.string().allow('').default(''),
+    retry: retryPolicy.schema,
+    signal: abort.signalSchema,
+});
+
+// Lists the unfinished large files in the bucket whose names start with the
+// prefix and which were started at least olderThan milliseconds ago.
+// b2_list_unfinished_large_files is called directly, as the B2 client doesn't
+// implement it.
+async function listUnfinished(o) {
+    const files = [];
+    const startedBefore = Date.now() - o.olderThan;
+    let startFileId;
+
+    do {
+        const r = await o.borrow(token =>
+            b2Api(
+                token,
+                'b2_list_unfinished_large_files',
+                {
+                    bucketId: o.bucketId,
+                    namePrefix: o.prefix || undefined,
+                    startFileId,
+                    maxFileCount: 100,
+                },
+                { signal: o.signal, timeouts: o.timeouts }
+            )
+        );
+
+        for (const file of r.files) {
+            // Older servers may ignore namePrefix.
+            if (file.fileName.startsWith(o.prefix) && file.uploadTimestamp <= startedBefore) {
+                files.push(file);
+            }
+        }
+
+        startFileId = r.nextFileId;
+    } while (startFileId);
+
+    return files;
+}
+
+// Returns the sweepUnfinished function.  getPriv returns the private data of a
+// B2 client.
+//
+// Unfinished large files are left behind when a process dies during a
+// large-file upload (or when canceling one fails), and their parts are billed
+// until they are canceled.
+module.exports = getPriv => async function sweepUnfinished(options) {
+    const priv = getPriv(this);
+    const o = Joi.attempt(options, optionsSchema);
+
+    o.logDetail = {
+        correlationId: uuidv4(),
+        bucketId: o.bucketId,
+        prefix: o.prefix,
+    };
+    o.emit = createEmit(priv.events, o.logDetail);
+    o.timeouts = requestTimeouts.resolve(priv.timeouts);
+    o.borrow = workerFn => priv.borrowAccountToken(workerFn, { signal: o.signal, retry: o.retry, emit: o.emit });
+
+    trace(o.logDetail, 'Beginning sweep of unfinished large files');
+
+    abort.throwIfAborted(o.signal);
+
+    const endOperation = priv.beginOperation();
+
+    try {
+        const files = (await listUnfinished(o)).map(file => ({
+            fileId: file.fileId,
+            fileName: file.fileName,
+            uploadTimestamp: file.uploadTimestamp,
+            status: 'skipped',
+        }));
+
+        if (!o.dryRun) {
+            await pUtils.mapConcurrent(files, o.concurrency, async file => {
+                const detail = { ...o.logDetail, fileId: file.fileId, fileName: file.fileName };
+
+                try {
+                    await o.borrow(() => this.cancelLargeFile({ fileId: file.fileId }));
+                    file.status = 'canceled';
+
+                    trace(detail, 'Canceled unfinished large file');
+                } catch (err) {
+                    if (abort.isAbortError(err)) {
+                        throw err;
+                    }
+
+                    // Keep going; the others may still be canceled.
+                    file.status = 'failed';
+                    file.error = err;
+
+                    trace({ ...detail, err }, 'Failed to cancel unfinished large file');
+                }
+            });
+        }
+
+        const count = status => files.filter(f => f.status === status).length;
+
+        const report = {
+            dryRun: o.dryRun,
+            files,
+            canceled: count('canceled'),
+            failed: count('failed'),
+        };
+
+        trace({ ...o.logDetail, found: files.length, failed: report.failed }, 'Sweep complete');
+
+        return report;
+    } finally {
+        endOperation();
+    }
+};
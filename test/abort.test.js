@@ -0,0 +1,159 @@
+// Canceling uploads with an AbortSignal.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { uploadAny, setup, recorder, count } = require('./helpers');
+
+const isAbortError = err => err.name === 'AbortError' && err.code === 'ABORT_ERR';
+
+// Resolves once the condition is true.
+async function until(condition) {
+    while (!condition()) {
+        await new Promise(resolve => { setTimeout(resolve, 5); });
+    }
+}
+
+describe('aborting uploads', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    const hangs = () => server.requests.filter(r => r.fault === 'hang').length;
+
+    it('rejects at once if the signal was already aborted', async () => {
+        const controller = new AbortController();
+
+        controller.abort();
+
+        await assert.rejects(
+            b2.uploadAny({ bucketId: 'bucket', fileName: 'file', data: Buffer.from('x'), signal: controller.signal }),
+            isAbortError
+        );
+
+        assert.equal(server.requests.filter(r => r.api !== 'b2_authorize_account').length, 0);
+    });
+
+    it('destroys a request that is waiting for its response', async () => {
+        const controller = new AbortController();
+
+        server.fault({ type: 'hang', api: 'b2_upload_file' });
+
+        const upload = b2.uploadAny({ bucketId: 'bucket', fileName: 'file', data: Buffer.from('x'), signal: controller.signal });
+
+        await until(() => hangs() === 1);
+        controller.abort();
+
+        await assert.rejects(upload, isAbortError);
+        assert.equal(server.files().length, 0);
+    });
+
+    it('discards a token whose request was aborted in the middle of the body', async () => {
+        const controller = new AbortController();
+        const events = recorder();
+        const marker = {};
+        let source;
+
+        // A source that stops after its first chunk, so that the request is
+        // still sending its body when it's aborted.
+        const unregister = uploadAny.registerSource(d => d === marker, () => ({
+            size: () => Promise.resolve(1000),
+
+            makeStream() {
+                source = new Readable({ read() {} });
+                source.push(Buffer.alloc(100));
+                return source;
+            },
+        }));
+
+        try {
+            const upload = b2.uploadAny({
+                bucketId: 'bucket',
+                fileName: 'file',
+                data: marker,
+                hashAtEnd: true,
+                signal: controller.signal,
+                onEvent: events.onEvent,
+            });
+
+            await until(() => server.requests.some(r => r.api === 'b2_upload_file'));
+            controller.abort();
+
+            await assert.rejects(upload, isAbortError);
+        } finally {
+            unregister();
+        }
+
+        assert.ok(source.destroyed);
+
+        // The next upload doesn't reuse the token.  (The upload rejects as
+        // soon as it's aborted; the token is discarded once the request has
+        // been destroyed.)
+        await b2.uploadAny({ bucketId: 'bucket', fileName: 'file', data: Buffer.from('x') });
+
+        assert.equal(count(server, 'b2_get_upload_url'), 2);
+        assert.deepEqual(events.ofType('token.discarded').map(e => e.reason), [ 'ABORT_ERR' ]);
+    });
+
+    it('stops waiting for the next attempt', async () => {
+        const controller = new AbortController();
+        const events = recorder();
+
+        server.fault({ type: 'service-unavailable', api: 'b2_upload_file' });
+
+        const upload = b2.uploadAny({
+            bucketId: 'bucket',
+            fileName: 'file',
+            data: Buffer.from('x'),
+            retry: { minDelay: 60000, maxDelay: 60000 },
+            signal: controller.signal,
+            onEvent: events.onEvent,
+        });
+
+        await until(() => events.ofType('retry').length === 1);
+
+        const aborted = Date.now();
+
+        controller.abort();
+
+        await assert.rejects(upload, isAbortError);
+        assert.ok(Date.now() - aborted < 1000);
+        assert.equal(count(server, 'b2_upload_file'), 1);
+    });
+
+    it('destroys the source and cancels the large file', async () => {
+        const controller = new AbortController();
+
+        // Every part hangs.
+        server.fault({ type: 'hang', api: 'b2_upload_part', times: Infinity });
+
+        // Three parts, and then nothing: the stream never ends.
+        const source = new Readable({ read() {} });
+
+        source.push(crypto.randomBytes(15000000));
+
+        const upload = b2.uploadAny({
+            bucketId: 'bucket',
+            fileName: 'large',
+            data: source,
+            partSize: 5000000,
+            concurrency: 2,
+            signal: controller.signal,
+        });
+
+        await until(() => hangs() === 2);
+        controller.abort();
+
+        await assert.rejects(upload, isAbortError);
+
+        assert.ok(source.destroyed);
+        assert.equal(count(server, 'b2_cancel_large_file'), 1);
+        assert.deepEqual(server.unfinishedLargeFiles(), []);
+    });
+});
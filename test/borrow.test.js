@@ -0,0 +1,186 @@
+// How the borrow functions handle failed requests: which errors are retried,
+// which discard the token, and which make the client authorize again.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const bufferStream = require('../streams/buffer');
+const { uploadAny, setup, sha1, recorder, count } = require('./helpers');
+
+describe('borrow functions', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    const data = crypto.randomBytes(1000);
+
+    async function uploadWith(events, options) {
+        const r = await b2.uploadAny({
+            bucketId: 'bucket',
+            fileName: 'file',
+            data,
+            onEvent: events.onEvent,
+            ...options,
+        });
+
+        assert.equal(r.contentSha1, sha1(data));
+        assert.deepEqual(await server.getFileData(r.fileId), data);
+
+        return r;
+    }
+
+    it('discards the upload token after a 503', async () => {
+        const events = recorder();
+
+        server.fault({ type: 'service-unavailable', api: 'b2_upload_file' });
+
+        await uploadWith(events);
+
+        assert.equal(count(server, 'b2_upload_file'), 2);
+        assert.equal(count(server, 'b2_get_upload_url'), 2);
+        assert.deepEqual(events.ofType('token.discarded').map(e => e.reason), [ '503' ]);
+        assert.deepEqual(events.ofType('retry').map(e => e.reason), [ '503' ]);
+    });
+
+    it('keeps the upload token after a 429, waiting for Retry-After', async () => {
+        const events = recorder();
+
+        server.fault({ type: 'too-many-requests', api: 'b2_upload_file', retryAfter: 0 });
+
+        await uploadWith(events);
+
+        assert.equal(count(server, 'b2_upload_file'), 2);
+        assert.equal(count(server, 'b2_get_upload_url'), 1);
+        assert.equal(events.ofType('token.discarded').length, 0);
+        assert.equal(events.ofType('token.reused').length, 1);
+
+        const [ retry ] = events.ofType('retry');
+
+        assert.equal(retry.reason, '429');
+        assert.equal(retry.retryAfter, true);
+    });
+
+    it('waits for the number of seconds in Retry-After', async () => {
+        const events = recorder();
+        const started = Date.now();
+
+        server.fault({ type: 'too-many-requests', api: 'b2_upload_file', retryAfter: 1 });
+
+        await uploadWith(events);
+
+        assert.equal(events.ofType('retry')[0].delay, 1000);
+        assert.ok(Date.now() - started >= 1000);
+    });
+
+    it('discards an upload token B2 considers in use', async () => {
+        const events = recorder();
+
+        server.fault({ type: 'token-in-use', api: 'b2_upload_file' });
+
+        await uploadWith(events);
+
+        assert.equal(count(server, 'b2_get_upload_url'), 2);
+        assert.deepEqual(events.ofType('token.discarded').map(e => e.reason), [ '400' ]);
+    });
+
+    it('authorizes again after a 401', async () => {
+        const events = recorder();
+
+        server.expireAuthorizations();
+
+        await uploadWith(events);
+
+        assert.equal(count(server, 'b2_authorize_account'), 2);
+        assert.equal(count(server, 'b2_get_upload_url'), 2);
+        assert.deepEqual(events.ofType('reauthorize').map(e => e.reason), [ '401' ]);
+
+        // Reauthorizing doesn't count as a retry.
+        assert.equal(events.ofType('retry').length, 0);
+    });
+
+    it('keeps the upload token after a connection reset', async () => {
+        const events = recorder();
+
+        server.fault({ type: 'connection-reset', api: 'b2_upload_file' });
+
+        await uploadWith(events);
+
+        assert.equal(count(server, 'b2_upload_file'), 2);
+        assert.equal(count(server, 'b2_get_upload_url'), 1);
+        assert.equal(events.ofType('token.discarded').length, 0);
+        assert.deepEqual(events.ofType('retry').map(e => e.reason), [ 'ECONNRESET' ]);
+    });
+
+    it('keeps the upload token after an error unrelated to B2', async () => {
+        const events = recorder();
+        const marker = {};
+        let streams = 0;
+
+        const unregister = uploadAny.registerSource(d => d === marker, () => ({
+            size: () => Promise.resolve(data.length),
+
+            makeStream() {
+                streams += 1;
+
+                if (streams === 1) {
+                    throw Object.assign(new Error('Source unavailable'), { code: 'ESOURCE' });
+                }
+
+                return bufferStream([ data ]);
+            },
+        }));
+
+        try {
+            // With hashAtEnd, the source is only read inside the borrow
+            // function.
+            await uploadWith(events, { data: marker, hashAtEnd: true });
+        } finally {
+            unregister();
+        }
+
+        assert.equal(streams, 2);
+        assert.equal(count(server, 'b2_upload_file'), 1);
+        assert.equal(count(server, 'b2_get_upload_url'), 1);
+        assert.equal(events.ofType('token.discarded').length, 0);
+        assert.deepEqual(events.ofType('retry').map(e => e.reason), [ 'ESOURCE' ]);
+    });
+
+    it('gets a new part URL after a 503 during a large-file upload', async () => {
+        const events = recorder();
+        const large = crypto.randomBytes(12000000);
+
+        server.fault({ type: 'service-unavailable', api: 'b2_upload_part', skip: 1 });
+
+        await b2.uploadAny({
+            bucketId: 'bucket',
+            fileName: 'large',
+            data: large,
+            partSize: 5000000,
+            onEvent: events.onEvent,
+        });
+
+        const [ file ] = server.files();
+
+        assert.deepEqual(await server.getFileData(file.fileId), large);
+        assert.equal(count(server, 'b2_upload_part'), 4);
+        assert.equal(count(server, 'b2_get_upload_part_url'), 2);
+        assert.deepEqual(events.ofType('token.discarded').map(e => e.reason), [ '503' ]);
+    });
+
+    it('gives up after the attempts of the retry policy', async () => {
+        server.fault({ type: 'service-unavailable', api: 'b2_upload_file', times: Infinity });
+
+        await assert.rejects(
+            b2.uploadAny({ bucketId: 'bucket', fileName: 'file', data, retry: { attempts: 3 } }),
+            err => err.response.status === 503
+        );
+
+        assert.equal(count(server, 'b2_upload_file'), 3);
+        assert.equal(server.files().length, 0);
+    });
+});
@@ -0,0 +1,77 @@
+// Copying files within B2 with copyAny.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { setup, sha1, count } = require('./helpers');
+
+describe('copyAny', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    async function uploadSource(data, options) {
+        const r = await b2.uploadAny({
+            bucketId: 'bucket',
+            fileName: 'source',
+            data,
+            contentType: 'text/plain',
+            fileInfo: { color: 'blue' },
+            partSize: 5000000,
+            ...options,
+        });
+
+        return r.fileId;
+    }
+
+    it('copies a small file with b2_copy_file', async () => {
+        const data = crypto.randomBytes(1000);
+        const sourceFileId = await uploadSource(data);
+
+        server.fault({ type: 'service-unavailable', api: 'b2_copy_file' });
+
+        const r = await b2.copyAny({ sourceFileId, fileName: 'copy' });
+
+        assert.equal(r.fileName, 'copy');
+        assert.equal(r.contentType, 'text/plain');
+        assert.deepEqual(r.fileInfo, { color: 'blue' });
+        assert.deepEqual(await server.getFileData(r.fileId), data);
+        assert.equal(count(server, 'b2_copy_file'), 2);
+    });
+
+    it('replaces the metadata of a copy', async () => {
+        const sourceFileId = await uploadSource(crypto.randomBytes(1000));
+
+        const r = await b2.copyAny({
+            sourceFileId,
+            fileName: 'copy',
+            metadataDirective: 'REPLACE',
+            contentType: 'application/octet-stream',
+            fileInfo: { color: 'red' },
+        });
+
+        assert.equal(r.contentType, 'application/octet-stream');
+        assert.deepEqual(r.fileInfo, { color: 'red' });
+    });
+
+    it('copies a large file in parts with b2_copy_part', async () => {
+        const data = crypto.randomBytes(12000000);
+        const sourceFileId = await uploadSource(data);
+
+        server.fault({ type: 'service-unavailable', api: 'b2_copy_part', skip: 1 });
+
+        const r = await b2.copyAny({ sourceFileId, fileName: 'copy', partSize: 5000000, concurrency: 2 });
+
+        assert.equal(r.fileName, 'copy');
+        assert.equal(r.contentType, 'text/plain');
+        assert.deepEqual(r.fileInfo, { color: 'blue', large_file_sha1: sha1(data) });
+        assert.deepEqual(await server.getFileData(r.fileId), data);
+        assert.equal(count(server, 'b2_copy_part'), 4);
+        assert.deepEqual(server.unfinishedLargeFiles(), []);
+    });
+});
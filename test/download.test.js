@@ -0,0 +1,99 @@
+// Downloading files with downloadAny.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { setup, count } = require('./helpers');
+
+describe('downloadAny', () => {
+    let server;
+    let b2;
+    let dir;
+    let fileId;
+
+    // Four ranges of 1000000 bytes, the last one short.
+    const data = crypto.randomBytes(3500000);
+    const options = { partSize: 1000000, concurrency: 2 };
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'b2-upload-any-test-'));
+
+        ({ fileId } = await b2.uploadAny({ bucketId: 'bucket', fileName: 'file', data }));
+    });
+
+    afterEach(async () => {
+        await server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes ranges to a file at their offsets', async () => {
+        const destination = path.join(dir, 'file');
+
+        server.fault({ type: 'service-unavailable', api: 'b2_download_file_by_id', skip: 2 });
+
+        const r = await b2.downloadAny({ fileId, destination, ...options });
+
+        assert.equal(r.contentLength, data.length);
+        assert.deepEqual(fs.readFileSync(destination), data);
+        assert.equal(fs.existsSync(`${destination}.b2download`), false);
+
+        // The HEAD request, four ranges and the retry.
+        assert.equal(count(server, 'b2_download_file_by_id'), 6);
+    });
+
+    it('rewrites a range that was cut off partway', async () => {
+        const destination = path.join(dir, 'file');
+
+        const range = (name, req) => req.headers.range === 'bytes=1000000-1999999';
+        let written;
+
+        const fault = server.fault({ type: 'cut-off', api: 'b2_download_file_by_id', when: range });
+
+        // Never matches; looks at the file when the range is requested again.
+        server.fault({
+            type: 'hang',
+            api: 'b2_download_file_by_id',
+            when(name, req) {
+                if (range(name, req) && fault.hits) {
+                    written = fs.readFileSync(destination).subarray(1000000, 1100000);
+                }
+
+                return false;
+            },
+        });
+
+        await b2.downloadAny({ fileId, destination, ...options });
+
+        assert.equal(fault.hits, 1);
+        assert.deepEqual(fs.readFileSync(destination), data);
+
+        // The start of the range was written as it arrived.
+        assert.deepEqual(written, data.subarray(1000000, 1100000));
+    });
+
+    it('writes ranges to a stream in order', async () => {
+        const chunks = [];
+
+        const destination = new Writable({
+            write(chunk, encoding, cb) {
+                chunks.push(chunk);
+                cb();
+            },
+        });
+
+        await b2.downloadAny({ fileId, destination, ...options });
+
+        assert.deepEqual(Buffer.concat(chunks), data);
+    });
+
+    it('collects the file into a buffer', async () => {
+        const r = await b2.downloadAny({ fileId, ...options });
+
+        assert.deepEqual(r.data, data);
+    });
+});
@@ -0,0 +1,71 @@
+// File info, on standard and large files.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+
+const { setup } = require('./helpers');
+
+describe('file info', () => {
+    let server;
+    let b2;
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'b2-upload-any-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    const fileInfo = {
+        author: 'Zoë',
+        'b2-content-disposition': 'attachment; filename="report.pdf"',
+    };
+
+    for (const [ kind, size ] of [ [ 'standard', 1000 ], [ 'large', 12000000 ] ]) {
+        it(`is stored on ${kind} files`, async () => {
+            await b2.uploadAny({
+                bucketId: 'bucket',
+                fileName: 'file',
+                data: crypto.randomBytes(size),
+                partSize: 5000000,
+                fileInfo,
+            });
+
+            const stored = server.files()[0].fileInfo;
+
+            assert.equal(stored.author, fileInfo.author);
+            assert.equal(stored['b2-content-disposition'], fileInfo['b2-content-disposition']);
+        });
+
+        it(`records the modification time of ${kind} files`, async () => {
+            const file = path.join(dir, kind);
+
+            fs.writeFileSync(file, crypto.randomBytes(size));
+            fs.utimesSync(file, 1500000000, 1500000000);
+
+            await b2.uploadAny({
+                bucketId: 'bucket',
+                fileName: 'file',
+                data: file,
+                partSize: 5000000,
+                fileInfo,
+            });
+
+            const stored = server.files()[0].fileInfo;
+
+            assert.equal(stored.src_last_modified_millis, '1500000000000');
+            assert.equal(stored.author, fileInfo.author);
+        });
+    }
+});
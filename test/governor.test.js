@@ -0,0 +1,45 @@
+// Limits shared by all uploads of a client.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { setup, count } = require('./helpers');
+
+describe('client-wide limits', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup(undefined, { maxConcurrentRequests: 1 }));
+    });
+
+    afterEach(() => server.close());
+
+    it('makes uploads wait for a request slot before getting an upload URL', async () => {
+        const data = crypto.randomBytes(1000);
+
+        await Promise.all([ 1, 2, 3, 4 ].map(i =>
+            b2.uploadAny({ bucketId: 'bucket', fileName: `file${i}`, data })
+        ));
+
+        assert.equal(server.files().length, 4);
+
+        // Only one upload at a time held a token, so it was reused.
+        assert.equal(count(server, 'b2_get_upload_url'), 1);
+    });
+
+    it('makes parts wait for a request slot before getting a part URL', async () => {
+        const data = crypto.randomBytes(12000000);
+
+        await b2.uploadAny({
+            bucketId: 'bucket',
+            fileName: 'large',
+            data,
+            partSize: 5000000,
+            concurrency: 3,
+        });
+
+        assert.equal(count(server, 'b2_upload_part'), 3);
+        assert.equal(count(server, 'b2_get_upload_part_url'), 1);
+    });
+});
@@ -0,0 +1,68 @@
+// Shared setup of the tests: a fake B2 server (see fake-b2-server.js) and a
+// backblaze-b2 client authorized against it.
+const crypto = require('crypto');
+const B2 = require('backblaze-b2');
+
+const createFakeB2 = require('../fake-b2-server');
+const uploadAny = require('..');
+
+uploadAny.install(B2);
+
+// Starts a fake server and resolves to an object with the server and a client
+// authorized against it.  Retries are quick, and the B2 client's own retries
+// are disabled so that only ours are observed.  clientOptions are passed to
+// configure().
+async function setup(serverOptions, clientOptions) {
+    const server = await createFakeB2(serverOptions);
+
+    const b2 = new B2({
+        applicationKeyId: 'fake-account',
+        applicationKey: 'fake-key',
+        retry: { retries: 0 },
+    });
+
+    uploadAny.configure(b2, {
+        authorizeUrl: server.authorizeUrl,
+        retry: { minDelay: 1, maxDelay: 10 },
+        ...clientOptions,
+    });
+
+    await b2.authorize();
+
+    return { server, b2 };
+}
+
+function sha1(buf) {
+    return crypto.createHash('sha1').update(buf).digest('hex');
+}
+
+// Returns an object whose onEvent function collects the events passed to it
+// in its events array.
+function recorder() {
+    const events = [];
+
+    return {
+        events,
+
+        onEvent(event) {
+            events.push(event);
+        },
+
+        ofType(type) {
+            return events.filter(e => e.type === type);
+        },
+    };
+}
+
+// The number of requests the server received for the API call.
+function count(server, api) {
+    return server.requests.filter(r => r.api === api).length;
+}
+
+module.exports = {
+    uploadAny,
+    setup,
+    sha1,
+    recorder,
+    count,
+};
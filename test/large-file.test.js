@@ -0,0 +1,51 @@
+// The metadata of large files.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { setup, sha1 } = require('./helpers');
+
+describe('large files', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    const data = crypto.randomBytes(12000000);
+
+    const options = {
+        bucketId: 'bucket',
+        fileName: 'large',
+        data,
+        partSize: 5000000,
+    };
+
+    it('records the SHA-1 of the whole file', async () => {
+        await b2.uploadAny(options);
+
+        const [ file ] = server.files();
+
+        assert.equal(file.contentSha1, 'none');
+        assert.equal(file.fileInfo.large_file_sha1, sha1(data));
+    });
+
+    it('records a SHA-1 given by the caller', async () => {
+        await b2.uploadAny({ ...options, largeFileSha1: sha1(data) });
+
+        assert.equal(server.files()[0].fileInfo.large_file_sha1, sha1(data));
+    });
+
+    it('fails if the data does not match the SHA-1 given by the caller', async () => {
+        await assert.rejects(
+            b2.uploadAny({ ...options, largeFileSha1: sha1(Buffer.from('other')) }),
+            /does not match large_file_sha1/
+        );
+
+        assert.deepEqual(server.files(), []);
+        assert.deepEqual(server.unfinishedLargeFiles(), []);
+    });
+});
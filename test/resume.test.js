@@ -0,0 +1,89 @@
+// Resuming large-file uploads from the parts of an unfinished large file.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { setup, sha1, count } = require('./helpers');
+
+describe('resuming large-file uploads', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    // Three parts.
+    const data = crypto.randomBytes(12000000);
+
+    const options = {
+        bucketId: 'bucket',
+        fileName: 'large',
+        data,
+        partSize: 5000000,
+    };
+
+    it('uploads only the parts missing from the unfinished file', async () => {
+        // The third part can't be uploaded.
+        server.fault({ type: 'service-unavailable', api: 'b2_upload_part', skip: 2, times: Infinity });
+
+        const err = await b2.uploadAny({ ...options, keepUnfinished: true, retry: { attempts: 2 } })
+            .then(() => assert.fail('The upload should have failed'), e => e);
+
+        const [ unfinished ] = server.unfinishedLargeFiles();
+
+        assert.equal(err.fileId, unfinished.fileId);
+        assert.equal(unfinished.parts, 2);
+
+        server.clearFaults();
+
+        const parts = count(server, 'b2_upload_part');
+
+        await b2.uploadAny({ ...options, resume: true });
+
+        assert.equal(count(server, 'b2_upload_part') - parts, 1);
+        assert.equal(count(server, 'b2_start_large_file'), 1);
+        assert.deepEqual(server.unfinishedLargeFiles(), []);
+
+        const [ file ] = server.files();
+
+        assert.equal(file.fileId, unfinished.fileId);
+        assert.deepEqual(await server.getFileData(file.fileId), data);
+    });
+
+    it('starts a new large file if the source changed', async () => {
+        server.fault({ type: 'service-unavailable', api: 'b2_upload_part', skip: 2, times: Infinity });
+
+        await assert.rejects(b2.uploadAny({ ...options, keepUnfinished: true, retry: { attempts: 2 } }));
+
+        server.clearFaults();
+
+        const [ unfinished ] = server.unfinishedLargeFiles();
+        const changed = Buffer.from(data);
+
+        changed[11000000] ^= 1;
+
+        await b2.uploadAny({ ...options, data: changed, resume: true });
+
+        assert.equal(count(server, 'b2_start_large_file'), 2);
+
+        const [ file ] = server.files();
+
+        assert.notEqual(file.fileId, unfinished.fileId);
+        assert.equal(file.fileInfo.large_file_sha1, sha1(changed));
+        assert.deepEqual(await server.getFileData(file.fileId), changed);
+
+        // The old file is left for sweepUnfinished().
+        assert.deepEqual(server.unfinishedLargeFiles().map(f => f.fileId), [ unfinished.fileId ]);
+    });
+
+    it('starts a new large file if there is nothing to resume', async () => {
+        await b2.uploadAny({ ...options, resume: true });
+
+        assert.equal(count(server, 'b2_list_unfinished_large_files'), 1);
+        assert.equal(count(server, 'b2_upload_part'), 3);
+        assert.deepEqual(await server.getFileData(server.files()[0].fileId), data);
+    });
+});
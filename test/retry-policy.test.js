@@ -0,0 +1,32 @@
+const assert = require('assert').strict;
+const { describe, it } = require('node:test');
+
+const retryPolicy = require('../retry-policy');
+
+describe('retry policies', () => {
+    const withRetryAfter = value => ({ response: { status: 429, headers: { 'retry-after': value } } });
+
+    it('reads Retry-After as seconds', () => {
+        assert.equal(retryPolicy.retryAfter(withRetryAfter('3')), 3000);
+        assert.equal(retryPolicy.retryAfter(withRetryAfter('0')), 0);
+    });
+
+    it('reads Retry-After as an HTTP date', () => {
+        const delay = retryPolicy.retryAfter(withRetryAfter(new Date(Date.now() + 60000).toUTCString()));
+
+        assert.ok(delay > 58000 && delay <= 60000, `delay was ${delay}`);
+        assert.equal(retryPolicy.retryAfter(withRetryAfter(new Date(0).toUTCString())), 0);
+    });
+
+    it('ignores a missing or invalid Retry-After', () => {
+        assert.equal(retryPolicy.retryAfter({ response: { status: 503, headers: {} } }), undefined);
+        assert.equal(retryPolicy.retryAfter(withRetryAfter('soon')), undefined);
+        assert.equal(retryPolicy.retryAfter(new Error('no response')), undefined);
+    });
+
+    it('computes exponential backoff up to the maximum delay', () => {
+        const policy = retryPolicy.resolve({ minDelay: 100, factor: 3, maxDelay: 1000 });
+
+        assert.deepEqual([ 1, 2, 3, 4 ].map(n => retryPolicy.backoff(policy, n)), [ 100, 300, 900, 1000 ]);
+    });
+});
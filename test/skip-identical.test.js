@@ -0,0 +1,70 @@
+// Skipping uploads of files that are already stored with skipIfIdentical.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { setup, recorder, count } = require('./helpers');
+
+describe('skipIfIdentical', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    const upload = (data, options) => b2.uploadAny({
+        bucketId: 'bucket',
+        fileName: 'file',
+        data,
+        partSize: 5000000,
+        skipIfIdentical: true,
+        ...options,
+    });
+
+    it('skips a standard upload of the same contents', async () => {
+        const data = crypto.randomBytes(1000);
+        const events = recorder();
+
+        const first = await upload(data);
+        const second = await upload(data, { onEvent: events.onEvent });
+
+        assert.equal(count(server, 'b2_upload_file'), 1);
+        assert.equal(second.fileId, first.fileId);
+        assert.equal(second.contentSha1, first.contentSha1);
+        assert.deepEqual(events.ofType('upload.skipped').map(e => e.fileId), [ first.fileId ]);
+    });
+
+    it('skips a large upload of the same contents, resolving to the same shape', async () => {
+        const data = crypto.randomBytes(12000000);
+
+        const first = await upload(data);
+        const second = await upload(data);
+
+        assert.equal(count(server, 'b2_start_large_file'), 1);
+        assert.equal(second.fileId, first.fileId);
+        assert.deepEqual(Object.keys(second).sort(), Object.keys(first).sort());
+    });
+
+    it('uploads different contents of the same size', async () => {
+        const data = crypto.randomBytes(1000);
+
+        const first = await upload(data);
+        const second = await upload(crypto.randomBytes(1000));
+
+        assert.equal(count(server, 'b2_upload_file'), 2);
+        assert.notEqual(second.fileId, first.fileId);
+    });
+
+    it('uploads when the latest version is hidden', async () => {
+        const data = crypto.randomBytes(1000);
+
+        await upload(data);
+        await b2.hideFile({ bucketId: 'bucket', fileName: 'file' });
+        await upload(data);
+
+        assert.equal(count(server, 'b2_upload_file'), 2);
+    });
+});
@@ -0,0 +1,74 @@
+// Large-file uploads of streams, whose parts are held in memory or spilled
+// to temporary files.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+
+const { setup, sha1, count } = require('./helpers');
+
+// A stream producing the data in chunks of 1MB.
+function chunked(data) {
+    const chunks = [];
+
+    for (let i = 0; i < data.length; i += 1000000) {
+        chunks.push(data.subarray(i, i + 1000000));
+    }
+
+    return stream.Readable.from(chunks, { objectMode: false });
+}
+
+describe('stream uploads', () => {
+    let server;
+    let b2;
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'b2-upload-any-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    // Options of each way of holding parts.  Spilling without a memory
+    // budget spills every part.
+    const modes = {
+        memory: () => ({}),
+        spilled: () => ({ spillDirectory: dir }),
+    };
+
+    for (const [ mode, options ] of Object.entries(modes)) {
+        for (const size of [ 12345678, 15000000 ]) {
+            it(`uploads ${size} bytes with parts ${mode}`, async () => {
+                const data = crypto.randomBytes(size);
+
+                await b2.uploadAny({
+                    bucketId: 'bucket',
+                    fileName: 'stream',
+                    data: chunked(data),
+                    partSize: 5000000,
+                    largeFileSha1: false,
+                    ...options(),
+                });
+
+                const [ file ] = server.files();
+
+                assert.equal(count(server, 'b2_upload_part'), 3);
+                assert.equal(sha1(await server.getFileData(file.fileId)), sha1(data));
+
+                // Spilled parts are removed once uploaded.
+                assert.deepEqual(fs.readdirSync(dir), []);
+            });
+        }
+    }
+});
@@ -0,0 +1,44 @@
+// Sweeping the unfinished large files of a bucket.
+const assert = require('assert').strict;
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { setup, count } = require('./helpers');
+
+describe('sweepUnfinished', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+
+        for (const fileName of [ 'logs/a', 'logs/b', 'other' ]) {
+            await b2.startLargeFile({ bucketId: 'bucket', fileName });
+        }
+    });
+
+    afterEach(() => server.close());
+
+    const names = files => files.map(f => f.fileName).sort();
+
+    it('cancels the unfinished large files under the prefix', async () => {
+        server.fault({ type: 'service-unavailable', api: 'b2_list_unfinished_large_files' });
+
+        const report = await b2.sweepUnfinished({ bucketId: 'bucket', prefix: 'logs/' });
+
+        assert.deepEqual(names(report.files), [ 'logs/a', 'logs/b' ]);
+        assert.equal(report.canceled, 2);
+        assert.equal(report.failed, 0);
+        assert.equal(count(server, 'b2_list_unfinished_large_files'), 2);
+        assert.deepEqual(names(server.unfinishedLargeFiles()), [ 'other' ]);
+    });
+
+    it('only lists the files in a dry run', async () => {
+        const report = await b2.sweepUnfinished({ bucketId: 'bucket', dryRun: true });
+
+        assert.deepEqual(names(report.files), [ 'logs/a', 'logs/b', 'other' ]);
+        assert.ok(report.files.every(f => f.status === 'skipped'));
+        assert.equal(report.canceled, 0);
+        assert.equal(count(server, 'b2_cancel_large_file'), 0);
+        assert.equal(server.unfinishedLargeFiles().length, 3);
+    });
+});
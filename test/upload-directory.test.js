@@ -0,0 +1,52 @@
+// Uploading and syncing directories.
+const assert = require('assert').strict;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+
+const { setup, count } = require('./helpers');
+
+describe('directory uploads', () => {
+    let server;
+    let b2;
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'b2-upload-any-test-'));
+
+        fs.mkdirSync(path.join(dir, 'sub'));
+        fs.writeFileSync(path.join(dir, 'a.txt'), 'a');
+        fs.writeFileSync(path.join(dir, 'sub', 'b.txt'), 'b');
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    it('uploads the files under the prefix', async () => {
+        const r = await b2.uploadDirectory({ bucketId: 'bucket', directory: dir, prefix: 'backup' });
+
+        assert.equal(r.uploaded, 2);
+        assert.deepEqual(server.files().map(f => f.fileName).sort(), [ 'backup/a.txt', 'backup/sub/b.txt' ]);
+    });
+
+    it('retries listing the remote files when syncing', async () => {
+        await b2.uploadDirectory({ bucketId: 'bucket', directory: dir, prefix: 'backup' });
+
+        server.fault({ type: 'service-unavailable', api: 'b2_list_file_names' });
+
+        const r = await b2.uploadDirectory({ bucketId: 'bucket', directory: dir, prefix: 'backup', sync: true });
+
+        assert.equal(count(server, 'b2_list_file_names'), 2);
+        assert.equal(r.skipped, 2);
+        assert.equal(r.uploaded, 0);
+        assert.equal(r.failed, 0);
+    });
+});
@@ -0,0 +1,85 @@
+// Batch uploads with uploadMany.
+const assert = require('assert').strict;
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { setup } = require('./helpers');
+
+describe('uploadMany', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    const finished = () => server.requests.filter(r => r.api === 'b2_upload_file' && r.status === 200).length;
+
+    it('reads uploads only as the queue makes room for them', async () => {
+        let ahead = 0;
+
+        async function* uploads() {
+            for (let i = 0; i < 40; i += 1) {
+                // The number of uploads read but not finished.
+                ahead = Math.max(ahead, i - finished());
+
+                yield { bucketId: 'bucket', fileName: `file-${i}`, data: Buffer.from(`data ${i}`) };
+            }
+        }
+
+        const report = await b2.uploadMany({ uploads: uploads(), concurrency: 2 });
+
+        assert.equal(report.succeeded, 40);
+        assert.ok(ahead <= 4, `${ahead} uploads were read ahead`);
+    });
+
+    it('doesn\'t add a listener to the signal per upload', async () => {
+        const controller = new AbortController();
+        const warnings = [];
+        const onWarning = w => { warnings.push(w); };
+
+        process.on('warning', onWarning);
+
+        try {
+            const report = await b2.uploadMany({
+                uploads: Array.from({ length: 30 }, (_, i) => ({
+                    bucketId: 'bucket',
+                    fileName: `file-${i}`,
+                    data: Buffer.from(`data ${i}`),
+                })),
+                concurrency: 8,
+                signal: controller.signal,
+            });
+
+            assert.equal(report.succeeded, 30);
+
+            // Warnings are emitted asynchronously.
+            await new Promise(resolve => { setImmediate(resolve); });
+        } finally {
+            process.off('warning', onWarning);
+        }
+
+        assert.deepEqual(warnings.map(w => w.name), []);
+    });
+
+    it('cancels the uploads in progress when the signal is aborted', async () => {
+        const controller = new AbortController();
+
+        server.fault({ type: 'hang', api: 'b2_upload_file', times: Infinity });
+
+        const batch = b2.uploadMany({
+            uploads: Array.from({ length: 10 }, (_, i) => ({ bucketId: 'bucket', fileName: `file-${i}`, data: Buffer.from('x') })),
+            concurrency: 2,
+            signal: controller.signal,
+        });
+
+        while (server.requests.filter(r => r.fault === 'hang').length < 2) {
+            await new Promise(resolve => { setTimeout(resolve, 5); });
+        }
+
+        controller.abort();
+
+        await assert.rejects(batch, err => err.name === 'AbortError');
+    });
+});
@@ -0,0 +1,57 @@
+// The order in which upload queues start their uploads.
+const assert = require('assert').strict;
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { setup } = require('./helpers');
+
+describe('upload queues', () => {
+    let server;
+    let b2;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => server.close());
+
+    // Adds an upload of each name to the queue, with the add options of the
+    // same index, and resolves to the names in the order their uploads
+    // finished.
+    async function run(queue, names, addOptions = []) {
+        const finished = [];
+
+        await Promise.all(names.map((name, i) =>
+            queue.add({ bucketId: 'bucket', fileName: name, data: Buffer.from(name) }, addOptions[i])
+            .then(() => { finished.push(name); })
+        ));
+
+        return finished;
+    }
+
+    it('runs uploads without options', async () => {
+        const queue = b2.createUploadQueue();
+
+        assert.equal(queue.stats().concurrency, 4);
+        assert.deepEqual(await run(queue, [ 'a' ]), [ 'a' ]);
+        assert.deepEqual(queue.stats(), { concurrency: 4, running: 0, waiting: 0 });
+    });
+
+    it('starts uploads of the same priority in the order they were added', async () => {
+        const queue = b2.createUploadQueue({ concurrency: 1 });
+
+        assert.deepEqual(await run(queue, [ '1', '2', '3', '4' ]), [ '1', '2', '3', '4' ]);
+    });
+
+    it('starts uploads with a higher priority first', async () => {
+        const queue = b2.createUploadQueue({ concurrency: 1 });
+
+        // The first upload starts as soon as it is added.
+        const finished = await run(
+            queue,
+            [ 'first', 'low', 'high', 'default', 'high-2' ],
+            [ undefined, { priority: -1 }, { priority: 5 }, undefined, { priority: 5 } ]
+        );
+
+        assert.deepEqual(finished, [ 'first', 'high', 'high-2', 'default', 'low' ]);
+    });
+});
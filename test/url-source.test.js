@@ -0,0 +1,150 @@
+// Timeouts of the requests for URL sources, against a local HTTP server.
+const assert = require('assert').strict;
+const crypto = require('crypto');
+const http = require('http');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const urlSI = require('../source-interface/url-source-interface');
+const { setup, count } = require('./helpers');
+
+// Serves data, supporting HEAD and single ranges.  Once sent bytes of a GET
+// response have been written, the rest is sent at bytesPerSecond (or never,
+// if that isn't set).
+function createSource(data, { sent = Infinity, bytesPerSecond } = {}) {
+    const timers = new Set();
+
+    const server = http.createServer((req, res) => {
+        const m = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+        const body = m ? data.subarray(+m[1], +m[2] + 1) : data;
+
+        res.writeHead(m ? 206 : 200, {
+            'accept-ranges': 'bytes',
+            'content-length': req.method === 'HEAD' ? data.length : body.length,
+            etag: '"source"',
+        });
+
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+
+        res.write(body.subarray(0, sent));
+
+        if (sent >= body.length) {
+            res.end();
+        } else if (bytesPerSecond) {
+            let offset = sent;
+
+            const timer = setInterval(() => {
+                res.write(body.subarray(offset, offset + bytesPerSecond / 10));
+                offset += bytesPerSecond / 10;
+            }, 100);
+
+            timers.add(timer);
+            res.on('close', () => { clearInterval(timer); });
+        }
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: new URL(`http://127.0.0.1:${server.address().port}/source`),
+
+                close() {
+                    timers.forEach(timer => { clearInterval(timer); });
+                    server.closeAllConnections();
+                    server.close();
+                },
+            });
+        });
+    });
+}
+
+describe('URL sources', () => {
+    let server;
+    let b2;
+    let source;
+
+    beforeEach(async () => {
+        ({ server, b2 } = await setup());
+    });
+
+    afterEach(() => {
+        server.close();
+        source.close();
+    });
+
+    const small = crypto.randomBytes(100000);
+    const large = crypto.randomBytes(12000000);
+
+    it('fails a standard upload when the source stops partway through the body', async () => {
+        source = await createSource(small, { sent: 50000 });
+
+        await assert.rejects(
+            b2.uploadAny({ bucketId: 'bucket', fileName: 'file', data: source.url, timeouts: { idle: 200 } }),
+            err => err.code === 'ETIMEDOUT'
+        );
+
+        assert.equal(count(server, 'b2_upload_file'), 0);
+    });
+
+    it('fails a large upload when a range stops partway through the body', async () => {
+        source = await createSource(large, { sent: 1000000 });
+
+        await assert.rejects(
+            b2.uploadAny({
+                bucketId: 'bucket',
+                fileName: 'file',
+                data: source.url,
+                partSize: 5000000,
+                timeouts: { idle: 200 },
+            }),
+            err => err.code === 'ETIMEDOUT'
+        );
+    });
+
+    it('fails when the source trickles the body', async () => {
+        source = await createSource(small, { sent: 1000, bytesPerSecond: 1000 });
+
+        await assert.rejects(
+            b2.uploadAny({
+                bucketId: 'bucket',
+                fileName: 'file',
+                data: source.url,
+                timeouts: { idle: 200, stall: { bytes: 10000, window: 300 } },
+            }),
+            err => err.code === 'ESTALLED'
+        );
+    });
+
+    it('doesn\'t count the time the body is paused by its reader', async () => {
+        source = await createSource(small);
+
+        const si = await urlSI({
+            data: source.url,
+            largeFileThreshold: 10000000,
+            partSize: 5000000,
+            timeouts: { idle: 200 },
+        });
+
+        const s = si.makeStream();
+        const chunks = [];
+
+        await new Promise((resolve, reject) => {
+            s.once('data', chunk => {
+                chunks.push(chunk);
+                s.pause();
+
+                setTimeout(() => {
+                    s.on('data', c => { chunks.push(c); });
+                    s.resume();
+                }, 600);
+            });
+
+            s.on('error', reject);
+            s.on('end', resolve);
+        });
+
+        assert.deepEqual(Buffer.concat(chunks), small);
+    });
+});
@@ -0,0 +1,112 @@
+// A token bucket limiting the rate at which bytes are sent, shared by any
+// number of requests.  The rate is in bytes per second; it may be a number or
+// a function returning one, which is called whenever the bucket is refilled so
+// that the rate can follow a schedule.  A rate of Infinity disables the limit,
+// and a rate of zero (or less) pauses sending.
+//
+// The bucket holds at most one second's worth of bytes, which bounds the burst
+// after a period of inactivity.  Waiting takes are granted in order.
+module.exports = (rate = Infinity) => {
+    // Bytes that can be sent now, as of the time updated.
+    let tokens;
+    let updated = Date.now();
+
+    const waiting = [];
+    let timer;
+
+    function currentRate() {
+        const r = typeof rate === 'function' ? rate() : rate;
+
+        return r > 0 ? r : 0;
+    }
+
+    function refill() {
+        const r = currentRate();
+        const now = Date.now();
+
+        if (r === Infinity) {
+            tokens = Infinity;
+        } else {
+            const elapsed = (now - updated) / 1000;
+
+            tokens = Math.min(r, tokens === undefined ? r : tokens + elapsed * r);
+        }
+
+        updated = now;
+
+        return r;
+    }
+
+    // Granting a waiter as soon as a single byte is available would send many
+    // tiny chunks, so waiters are granted once they can take what they asked
+    // for or 50ms worth of bytes, whichever is less.
+    function threshold(w, r) {
+        return Math.min(w.max, Math.max(1, Math.floor(r / 20)));
+    }
+
+    function pump() {
+        clearTimeout(timer);
+        timer = undefined;
+
+        const r = refill();
+
+        while (waiting.length && tokens >= threshold(waiting[0], r)) {
+            const w = waiting.shift();
+            const n = Math.min(w.max, Math.floor(tokens));
+
+            tokens -= n;
+            w.resolve(n);
+        }
+
+        if (waiting.length) {
+            // Check again once the head waiter can be granted, but at least
+            // once a second so that changes to a rate function are noticed.
+            const delay = r > 0 ?
+                (threshold(waiting[0], r) - tokens) / r * 1000 :
+                Infinity;
+
+            timer = setTimeout(pump, Math.min(Math.max(delay, 10), 1000));
+        }
+    }
+
+    return {
+        // Returns a promise for the number of bytes that may be sent, between
+        // 1 and max.
+        take(max) {
+            return new Promise(resolve => {
+                waiting.push({ max, resolve });
+                pump();
+            });
+        },
+
+        // Returns the number of bytes that may be sent without waiting, up to
+        // max.  Returns zero if the caller must wait; see take().
+        tryTake(max) {
+            refill();
+
+            if (waiting.length || tokens < 1) {
+                return 0;
+            }
+
+            const n = Math.min(max, Math.floor(tokens));
+
+            tokens -= n;
+            return n;
+        },
+
+        // Returns bytes that were taken but won't be sent.
+        refund(n) {
+            tokens = Math.min(tokens + n, refill());
+            pump();
+        },
+
+        setRate(r) {
+            rate = r;
+            pump();
+        },
+
+        stats() {
+            return { rate: currentRate(), waiters: waiting.length };
+        },
+    };
+};
@@ -0,0 +1,54 @@
+const Joi = require('@hapi/joi');
+
+// Timeouts of the upload and download requests made by https-client.  Like
+// retry policies, timeouts can be set for a B2 client (see configure()) and
+// for a single call; attributes that aren't set fall back to the client's
+// timeouts and then to the defaults.  All times are in milliseconds.
+//
+// * connect: The time to establish a connection.
+//
+// * idle: The time the connection may go without sending or receiving
+//   anything.
+//
+// * total: The time the whole request may take.
+//
+// * stall: Object with bytes and window attributes.  The request fails if
+//   fewer than the given number of bytes are transferred in any window while
+//   the body of the request or the response is being transferred.
+const schema = Joi.object().keys({
+    connect: Joi.number().min(1).allow(Infinity),
+    idle: Joi.number().min(1).allow(Infinity),
+    stall: Joi.object().allow(null).keys({
+        bytes: Joi.number().integer().min(1).required(),
+        window: Joi.number().min(1).required(),
+    }),
+    total: Joi.number().min(1).allow(Infinity),
+});
+
+const defaults = {
+    connect: Infinity,
+    idle: 15 * 1000,
+    stall: null,
+    total: Infinity,
+};
+
+// Combines timeouts, later ones taking precedence.  Undefined values are
+// skipped.
+function resolve(...timeouts) {
+    return Object.assign({}, defaults, ...timeouts.filter(t => t));
+}
+
+// Codes of the errors requests fail with when a timeout expires.
+const codes = {
+    connect: 'ECONNTIMEDOUT',
+    idle: 'ETIMEDOUT',
+    stall: 'ESTALLED',
+    total: 'ETOTALTIMEDOUT',
+};
+
+module.exports = {
+    schema,
+    defaults,
+    resolve,
+    codes,
+};
@@ -0,0 +1,159 @@
+const Joi = require('@hapi/joi');
+
+// Options of the pools of idle tokens kept by a B2 client (see configure()).
+// All times are in milliseconds.
+//
+// * maxIdle: The number of idle tokens kept in each pool.  Tokens returned to
+//   a full pool are discarded.
+//
+// * maxAge: The time since a token was acquired after which it's discarded
+//   instead of being used.  B2's upload tokens are valid for 24 hours.
+//
+// * idleTimeout: The time a token may sit in a pool unused before it's
+//   discarded.
+const schema = Joi.object().keys({
+    idleTimeout: Joi.number().min(0).allow(Infinity),
+    maxAge: Joi.number().min(0).allow(Infinity),
+    maxIdle: Joi.number().integer().min(0).allow(Infinity),
+});
+
+const defaults = {
+    idleTimeout: Infinity,
+    maxAge: 23 * 60 * 60 * 1000,
+    maxIdle: Infinity,
+};
+
+// Combines options, later ones taking precedence.  Undefined values are
+// skipped.
+function resolve(...options) {
+    return Object.assign({}, defaults, ...options.filter(t => t));
+}
+
+// Returns a pool of tokens.  getOptions returns the current options of the
+// pool, as they can change at any time.  label holds attributes describing the
+// pool in stats().
+//
+// The pool counts the tokens in use as well as the idle ones.  A token is
+// either taken from the pool with take() or added to it with add(), and must
+// then be given back with put() (to keep it) or drop().  Functions that may
+// discard tokens accept a callback, which is invoked with the reason for each
+// discarded token: expired, idle, full or closed.
+function createPool(getOptions, label) {
+    // Idle tokens, least recently used first, as objects with token, acquired
+    // and since (the time it became idle) attributes.
+    let idle = [];
+
+    // Time each token was acquired, including the tokens in use.
+    const acquired = new WeakMap();
+
+    let inUse = 0;
+    let closed = false;
+
+    function evictStale(onDiscard) {
+        const o = getOptions();
+        const now = Date.now();
+
+        idle = idle.filter(entry => {
+            const reason =
+                now - entry.acquired >= o.maxAge ? 'expired' :
+                now - entry.since >= o.idleTimeout ? 'idle' :
+                undefined;
+
+            if (reason) {
+                onDiscard(reason);
+            }
+
+            return !reason;
+        });
+    }
+
+    return {
+        // Returns the least recently used idle token, or undefined if there
+        // is none.
+        take(onDiscard) {
+            evictStale(onDiscard);
+
+            const entry = idle.shift();
+
+            if (entry) {
+                inUse += 1;
+                return entry.token;
+            }
+
+            return undefined;
+        },
+
+        // Records a newly acquired token as in use.
+        add(token) {
+            acquired.set(token, Date.now());
+            inUse += 1;
+        },
+
+        // Returns a token to the pool after use, unless it's too old or the
+        // pool is full or closed.
+        put(token, onDiscard) {
+            const o = getOptions();
+            const now = Date.now();
+            const entry = { token, acquired: acquired.get(token), since: now };
+
+            inUse -= 1;
+            evictStale(onDiscard);
+
+            const reason =
+                closed ? 'closed' :
+                now - entry.acquired >= o.maxAge ? 'expired' :
+                idle.length >= o.maxIdle ? 'full' :
+                undefined;
+
+            if (reason) {
+                onDiscard(reason);
+            } else {
+                idle.push(entry);
+            }
+        },
+
+        // Forgets a token that was in use.
+        drop() {
+            inUse -= 1;
+        },
+
+        // Discards the idle tokens that are too old or have been idle too
+        // long.  (This is also done whenever a token is taken or put back.)
+        evict: evictStale,
+
+        // The number of idle tokens.
+        size() {
+            return idle.length;
+        },
+
+        stats() {
+            const now = Date.now();
+
+            return {
+                ...label,
+                idle: idle.length,
+                inUse,
+                // Age of the oldest idle token.
+                oldest: idle.length ? idle.reduce((max, e) => Math.max(max, now - e.acquired), 0) : undefined,
+            };
+        },
+
+        // Discards the idle tokens.  Tokens in use are discarded when they're
+        // returned.
+        close(onDiscard) {
+            const discarded = idle;
+
+            closed = true;
+            idle = [];
+
+            discarded.forEach(() => { onDiscard('closed'); });
+        },
+    };
+}
+
+module.exports = {
+    schema,
+    defaults,
+    resolve,
+    createPool,
+};
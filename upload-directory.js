@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('@hapi/joi');
+
+const abort = require('./abort');
+const fileInfo = require('./file-info');
+const glob = require('./glob');
+const hashFile = require('./hash-file');
+const pUtils = require('./promise-utils');
+const { trace } = require('./log');
+
+const readdir = pUtils.promisify(fs.readdir);
+const stat = pUtils.promisify(fs.stat);
+
+const optionsSchema = Joi.object().required().keys({
+    bucketId: Joi.string().required(),
+    compare: Joi.string().valid('modified', 'sha1').default('modified'),
+    concurrency: Joi.number().integer().min(1).default(4),
+    directory: Joi.string().required(),
+    exclude: Joi.array().items(Joi.string()).default([]),
+    include: Joi.array().items(Joi.string()).default([ '**' ]),
+    prefix: Joi.string().allow('').default(''),
+    removed: Joi.string().valid('keep', 'hide', 'delete').default('keep')
+        .when('sync', { not: true, then: Joi.invalid('hide', 'delete') }),
+    signal: abort.signalSchema,
+    sync: Joi.boolean().default(false),
+    uploadOptions: Joi.object().unknown(true).default({}),
+});
+
+// Lists the regular files below a directory, as sorted relative paths using
+// "/" as the separator.  Symlinks to files are included; symlinks to
+// directories are not followed, to avoid loops.
+async function walk(root) {
+    const files = [];
+
+    async function visit(rel) {
+        const entries = await readdir(path.join(root, rel), { withFileTypes: true });
+
+        for (const e of entries) {
+            const r = rel ? `${rel}/${e.name}` : e.name;
+
+            if (e.isDirectory()) {
+                await visit(r);
+            } else if (e.isFile()) {
+                files.push(r);
+            } else if (e.isSymbolicLink()) {
+                const s = await stat(path.join(root, r)).catch(() => undefined);
+
+                if (s && s.isFile()) {
+                    files.push(r);
+                }
+            }
+        }
+    }
+
+    await visit('');
+
+    return files.sort();
+}
+
+// Returns a map of file name to the latest version (as returned by
+// b2_list_file_names) of every file under the prefix.
+async function listRemote(b2, o) {
+    const files = new Map();
+    let startFileName;
+
+    do {
+        const r = (
+            await o.borrow(() => b2.listFileNames({
+                bucketId: o.bucketId,
+                prefix: o.prefix,
+                startFileName,
+                maxFileCount: 1000,
+                delimiter: '',
+            }))
+        ).data;
+
+        for (const file of r.files) {
+            if (file.action === 'upload') {
+                files.set(file.fileName, file);
+            }
+        }
+
+        startFileName = r.nextFileName;
+    } while (startFileName);
+
+    return files;
+}
+
+// Determines whether the local file has the same contents as the remote one.
+async function unchanged(o, local, remote) {
+    if (!remote || remote.contentLength !== local.stat.size) {
+        return false;
+    }
+
+    if (o.compare === 'modified') {
+        return !!remote.fileInfo &&
+            remote.fileInfo.src_last_modified_millis === String(Math.floor(local.stat.mtimeMs));
+    }
+
+    const sha1 = fileInfo.storedSha1(remote);
+
+    return sha1 !== undefined && sha1 === await hashFile(local.path);
+}
+
+// Deletes every version of a file.
+async function deleteAllVersions(b2, o, fileName) {
+    let startFileName = fileName;
+    let startFileId;
+
+    do {
+        const r = (
+            await o.borrow(() => b2.listFileVersions({
+                bucketId: o.bucketId,
+                prefix: fileName,
+                startFileName,
+                startFileId,
+                maxFileCount: 1000,
+            }))
+        ).data;
+
+        for (const file of r.files) {
+            if (file.fileName === fileName) {
+                await o.borrow(() => b2.deleteFileVersion({ fileId: file.fileId, fileName }));
+            }
+        }
+
+        startFileName = r.nextFileName;
+        startFileId = r.nextFileId;
+    } while (startFileName === fileName);
+}
+
+// Returns the uploadDirectory function.  uploadFn is the upload function to
+// use for each file, which is called with the B2 client as the context.
+// getPriv returns the private data of a B2 client.
+module.exports = (uploadFn, getPriv) => async function uploadDirectory(options) {
+    const o = Joi.attempt(options, optionsSchema);
+
+    // Listing, hiding and deleting files are retried like the uploads' API
+    // calls, so that one failed request doesn't fail the whole sync.
+    o.borrow = workerFn => getPriv(this).borrowAccountToken(workerFn, { signal: o.signal });
+
+    // Treat the prefix as a directory.
+    if (o.prefix && !o.prefix.endsWith('/')) {
+        o.prefix += '/';
+    }
+
+    const logDetail = { bucketId: o.bucketId, directory: o.directory, prefix: o.prefix };
+
+    trace(logDetail, 'Beginning directory upload');
+
+    const included = glob.matcher(o.include);
+    const excluded = glob.matcher(o.exclude);
+
+    const local = (await walk(o.directory))
+        .filter(rel => included(rel) && !excluded(rel))
+        .map(rel => ({
+            path: path.join(o.directory, rel),
+            fileName: o.prefix + rel,
+        }));
+
+    const remote = o.sync ? await listRemote(this, o) : new Map();
+
+    const results = [];
+
+    // Handles one task, recording its result.  Failures of a single file
+    // don't stop the others.
+    const run = async (entry, action, fn) => {
+        abort.throwIfAborted(o.signal);
+
+        const result = { ...entry, action };
+
+        try {
+            const r = await fn();
+
+            if (r !== undefined) {
+                result.result = r;
+            }
+        } catch (err) {
+            if (abort.isAbortError(err)) {
+                throw err;
+            }
+
+            trace({ ...logDetail, err, fileName: entry.fileName }, 'Directory upload of a file failed');
+
+            result.error = err;
+        }
+
+        results.push(result);
+    };
+
+    await pUtils.mapConcurrent(local, o.concurrency, async entry => {
+        const remoteFile = remote.get(entry.fileName);
+
+        remote.delete(entry.fileName);
+
+        let s;
+
+        try {
+            s = await stat(entry.path);
+        } catch (err) {
+            return run(entry, 'upload', () => { throw err; });
+        }
+
+        const l = { ...entry, stat: s };
+
+        if (o.sync && await unchanged(o, l, remoteFile).catch(() => false)) {
+            return run(entry, 'skip', () => undefined);
+        }
+
+        return run(entry, 'upload', () =>
+            uploadFn.call(this, {
+                ...o.uploadOptions,
+                bucketId: o.bucketId,
+                fileName: entry.fileName,
+                data: entry.path,
+                signal: o.signal,
+            })
+        );
+    });
+
+    // Whatever is left in the remote listing doesn't exist locally.  Remote
+    // files that the globs exclude are left alone.
+    const removed = [ ...remote.keys() ].filter(fileName => {
+        const rel = fileName.slice(o.prefix.length);
+        return included(rel) && !excluded(rel);
+    });
+
+    if (o.removed !== 'keep') {
+        await pUtils.mapConcurrent(removed, o.concurrency, fileName =>
+            o.removed === 'hide' ?
+                run({ fileName }, 'hide', async () =>
+                    (await o.borrow(() => this.hideFile({ bucketId: o.bucketId, fileName }))).data
+                ) :
+                run({ fileName }, 'delete', () => deleteAllVersions(this, o, fileName))
+        );
+    }
+
+    results.sort((a, b) => a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : 0);
+
+    const count = action => results.filter(r => r.action === action && !r.error).length;
+
+    const summary = {
+        files: results,
+        uploaded: count('upload'),
+        skipped: count('skip'),
+        hidden: count('hide'),
+        deleted: count('delete'),
+        failed: results.filter(r => r.error).length,
+    };
+
+    trace({ ...logDetail, failed: summary.failed }, 'Directory upload complete');
+
+    return summary;
+};
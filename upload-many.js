@@ -0,0 +1,164 @@
+const Joi = require('@hapi/joi');
+
+const abort = require('./abort');
+const { trace } = require('./log');
+
+const optionsSchema = Joi.object().required().keys({
+    concurrency: Joi.number().integer().min(1).allow(Infinity),
+    queue: Joi.object().unknown(true).raw().keys({
+        add: Joi.function().required(),
+        stats: Joi.function().required(),
+    }),
+    signal: abort.signalSchema,
+    stopOnFailure: Joi.boolean().default(false),
+    uploads: Joi.any().required().custom(
+        (v, helpers) =>
+            v && (typeof v[Symbol.iterator] === 'function' || typeof v[Symbol.asyncIterator] === 'function') ? v :
+            helpers.error('any.invalid'),
+        'iterable'
+    ).messages({ 'any.invalid': '{{#label}} must be an iterable or async iterable' }),
+})
+.without('queue', 'concurrency');
+
+// How many uploads are read ahead, as a multiple of the queue's concurrency.
+const READ_AHEAD = 2;
+
+// Returns the uploadMany function.  createQueue is the createUploadQueue
+// function, which is called with the B2 client as the context.
+module.exports = createQueue => async function uploadMany(options) {
+    const o = Joi.attempt(options, optionsSchema);
+
+    const queue = o.queue || createQueue.call(this, { concurrency: o.concurrency });
+
+    // Aborted by the caller, or to stop the batch after a failure.
+    const batch = abort.linkedController(o.signal);
+    let stopped = false;
+
+    const entries = [];
+    const pending = [];
+
+    // Uploads that were read but haven't settled.  No more are read while
+    // there are READ_AHEAD times as many as the queue runs at once, so that a
+    // long (or endless) iterable isn't read all at once, while the queue
+    // still has some waiting uploads to order by priority.
+    let unsettled = 0;
+    let wakeReader = () => {};
+
+    // The controllers of the unsettled uploads.  A single listener on the
+    // batch's signal aborts them all, rather than one listener per upload.
+    const controllers = new Set();
+
+    const removeBatchListener = abort.onAbort(batch.signal, () => {
+        controllers.forEach(controller => { controller.abort(); });
+        wakeReader();
+    });
+
+    const halted = () => stopped || batch.signal.aborted;
+
+    trace({}, 'Beginning batch upload');
+
+    try {
+        // Uploads are added to the queue as they are read, so priorities only
+        // order the uploads that are waiting at the time.
+        for await (const item of o.uploads) {
+            if (halted()) {
+                break;
+            }
+
+            const { priority, onEvent, ...uploadOptions } = item || {};
+
+            const entry = {
+                index: entries.length,
+                fileName: uploadOptions.fileName,
+                status: undefined,
+                retries: 0,
+            };
+
+            entries.push(entry);
+
+            // The upload is canceled with the batch, or by its own signal.
+            const controller = abort.linkedController(uploadOptions.signal);
+
+            controllers.add(controller);
+            unsettled += 1;
+
+            pending.push(
+                queue.add(
+                    {
+                        ...uploadOptions,
+                        signal: controller.signal,
+                        onEvent(e) {
+                            if (e.type === 'retry') {
+                                entry.retries += 1;
+                            }
+
+                            if (onEvent) {
+                                onEvent(e);
+                            }
+                        },
+                    },
+                    { priority }
+                )
+                .then(
+                    result => {
+                        entry.status = 'succeeded';
+                        entry.result = result;
+                    },
+                    err => {
+                        // Uploads canceled because another failed (or by a
+                        // signal) aren't failures themselves.
+                        if (abort.isAbortError(err) && controller.signal.aborted) {
+                            entry.status = 'canceled';
+                            return;
+                        }
+
+                        trace({ err, fileName: entry.fileName }, 'Batch upload of a file failed');
+
+                        entry.status = 'failed';
+                        entry.error = err;
+
+                        if (o.stopOnFailure && !stopped) {
+                            stopped = true;
+                            batch.abort();
+                        }
+                    }
+                )
+                .finally(() => {
+                    controller.dispose();
+                    controllers.delete(controller);
+                    unsettled -= 1;
+                    wakeReader();
+                })
+            );
+
+            while (unsettled >= READ_AHEAD * queue.stats().concurrency && !halted()) {
+                await new Promise(resolve => { wakeReader = resolve; });
+            }
+        }
+    } catch (err) {
+        // The uploads can't be read; stop the ones already added.
+        batch.abort();
+        throw err;
+    } finally {
+        await Promise.all(pending);
+        removeBatchListener();
+        batch.dispose();
+    }
+
+    abort.throwIfAborted(o.signal);
+
+    const count = status => entries.filter(e => e.status === status).length;
+
+    const report = {
+        uploads: entries,
+        succeeded: count('succeeded'),
+        failed: count('failed'),
+        canceled: count('canceled'),
+        retries: entries.reduce((n, e) => n + e.retries, 0),
+        stopped,
+    };
+
+    trace({ failed: report.failed, stopped }, 'Batch upload complete');
+
+    return report;
+};
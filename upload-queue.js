@@ -0,0 +1,129 @@
+const Joi = require('@hapi/joi');
+
+const abort = require('./abort');
+
+// default() without a value, after keys(), so that missing options get the
+// defaults of their keys rather than an empty object.
+const optionsSchema = Joi.object().keys({
+    concurrency: Joi.number().integer().min(1).allow(Infinity).default(4),
+}).default();
+
+const addOptionsSchema = Joi.object().keys({
+    priority: Joi.number().default(0),
+}).default();
+
+// Returns the createUploadQueue function.  uploadFn is the upload function to
+// use for each upload, which is called with the B2 client as the context.
+//
+// A queue runs uploads with at most a given number in progress at once.
+// Waiting uploads are started in order of priority (higher first), and in the
+// order they were added within a priority.  The uploads share the client's
+// token queues and limits like any other uploads.
+module.exports = uploadFn => function createUploadQueue(options) {
+    const b2 = this;
+    const o = Joi.attempt(options, optionsSchema);
+
+    let running = 0;
+
+    // Waiting jobs, sorted by descending priority.  Jobs of equal priority
+    // stay in the order they were added.
+    const waiting = [];
+
+    // Resolve functions of onIdle() promises.
+    let idleWaiters = [];
+
+    function pump() {
+        while (waiting.length && running < o.concurrency) {
+            running += 1;
+            waiting.shift().start();
+        }
+
+        if (!running && !waiting.length) {
+            const waiters = idleWaiters;
+
+            idleWaiters = [];
+            waiters.forEach(resolve => { resolve(); });
+        }
+    }
+
+    function insert(job) {
+        // Binary search for the first job with a lower priority.
+        let lo = 0;
+        let hi = waiting.length;
+
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+
+            if (waiting[mid].priority >= job.priority) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+
+        waiting.splice(lo, 0, job);
+    }
+
+    return {
+        // Adds an upload to the queue.  uploadOptions are the options of
+        // uploadAny; aborting their signal also removes the upload from the
+        // queue if it hasn't started.  Returns a promise for the result of the
+        // upload.
+        add(uploadOptions, addOptions) {
+            return new Promise((resolve, reject) => {
+                const { priority } = Joi.attempt(addOptions, addOptionsSchema);
+                const signal = uploadOptions && uploadOptions.signal;
+
+                abort.throwIfAborted(signal);
+
+                const job = { priority };
+
+                const removeAbortListener = abort.onAbort(signal, () => {
+                    const i = waiting.indexOf(job);
+
+                    if (i !== -1) {
+                        waiting.splice(i, 1);
+                        reject(abort.abortError());
+                        pump();
+                    }
+                });
+
+                job.start = () => {
+                    removeAbortListener();
+
+                    // The upload watches the signal itself once started.
+                    Promise.resolve()
+                    .then(() => uploadFn.call(b2, uploadOptions))
+                    .then(resolve, reject)
+                    .then(() => {
+                        running -= 1;
+                        pump();
+                    });
+                };
+
+                insert(job);
+                pump();
+            });
+        },
+
+        // Changes the number of uploads that can be in progress at once.
+        // Uploads already in progress aren't affected.
+        setConcurrency(concurrency) {
+            o.concurrency = Joi.attempt(concurrency, optionsSchema.extract('concurrency'));
+            pump();
+        },
+
+        // Returns a promise that resolves once no uploads are in progress or
+        // waiting.
+        onIdle() {
+            return new Promise(resolve => {
+                idleWaiters.push(resolve);
+                pump();
+            });
+        },
+
+        stats() {
+            return { concurrency: o.concurrency, running, waiting: waiting.length };
+        },
+    };
+};